@@ -1,20 +1,55 @@
-import React, { useState, useCallback, useRef } from 'react'
+import React, { useState, useCallback, useEffect, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { AlertTriangle, X } from 'lucide-react'
 import Header from './components/Header'
 import TextInput from './components/TextInput'
 import AnimationCanvas from './components/AnimationCanvas'
 import ControlPanel from './components/ControlPanel'
 import ExportPanel from './components/ExportPanel'
 import PreviewControls from './components/PreviewControls'
+import ProjectLibrary from './components/ProjectLibrary'
+import HistoryPanel from './components/HistoryPanel'
 import { useAnimationEngine } from './hooks/useAnimationEngine'
 import { useExport } from './hooks/useExport'
+import { useProject } from './hooks/useProject'
+import { useProjectLibrary } from './hooks/useProjectLibrary'
+import { useHistory } from './hooks/useHistory'
+import { useShareLink } from './hooks/useShareLink'
 import { generateRandomConfig } from './utils/animationConfig'
+import { sanitizeConfig } from './utils/configSchema'
+import { describeConfigChange } from './utils/history'
+import { getHashDesign } from './utils/shareLink'
 import './utils/testRunner' // Load debug tools
 
+// Settings the user builds up by hand, kept when a new design is generated
+const USER_SETTINGS = ['timeline', 'scene3d', 'morph', 'effectIntensity']
+const USER_LAYOUT_SETTINGS = ['path', 'pathData']
+
+// The kept settings are checked too, so a bad one can't ride along into every new design
+const withUserSettings = (design, config) => sanitizeConfig({
+  ...design,
+  ...Object.fromEntries(USER_SETTINGS.map(key => [key, config[key]])),
+  layout: {
+    ...design.layout,
+    ...Object.fromEntries(USER_LAYOUT_SETTINGS.map(key => [key, config.layout?.[key]]))
+  }
+}).config
+
+// Fields whose own Ctrl+Z should undo typing rather than the design
+const NON_TEXT_INPUTS = ['range', 'checkbox', 'radio', 'button', 'submit', 'color', 'file']
+
+const isTextField = (element) => (
+  Boolean(element?.isContentEditable) ||
+  element?.tagName === 'TEXTAREA' ||
+  (element?.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(element.type))
+)
+
 function App() {
   const [text, setText] = useState('Namelistica')
   const [isPlaying, setIsPlaying] = useState(false)
   const [showExportPanel, setShowExportPanel] = useState(false)
+  // A share link replaces restoring the last session
+  const [openedFromLink] = useState(() => Boolean(getHashDesign(window.location.hash)))
   const canvasRef = useRef(null)
 
   const {
@@ -29,18 +64,127 @@ function App() {
 
   const {
     exportPNG,
+    exportGIF,
+    exportAPNG,
+    exportWebM,
     isExporting,
-    exportProgress
-  } = useExport(canvasRef)
+    exportProgress,
+    exportError
+  } = useExport(canvasRef, text, config)
 
-  const handleTextChange = useCallback((newText) => {
-    setText(newText)
+  const {
+    entries: historyEntries,
+    index: historyIndex,
+    canUndo,
+    canRedo,
+    record: recordHistory,
+    reset: resetHistory,
+    undo,
+    redo,
+    goTo: goToHistory
+  } = useHistory({ text, config })
+
+  const restartIfPlaying = useCallback(() => {
     if (isPlaying) {
       resetAnimation()
       setTimeout(() => startAnimation(), 100)
     }
   }, [isPlaying, resetAnimation, startAnimation])
 
+  // Apply a text and/or config change and add it to the undo history
+  const commitChange = useCallback((label, changes) => {
+    if (changes.text !== undefined) setText(changes.text)
+    if (changes.config) updateConfig(changes.config)
+    recordHistory({ text, config, ...changes }, label)
+  }, [text, config, updateConfig, recordHistory])
+
+  // Restore a state from the history without recording it again
+  const applyHistoryState = useCallback((state) => {
+    if (!state) return
+    setText(state.text)
+    updateConfig(state.config)
+    restartIfPlaying()
+  }, [updateConfig, restartIfPlaying])
+
+  const handleUndo = useCallback(() => applyHistoryState(undo()), [applyHistoryState, undo])
+  const handleRedo = useCallback(() => applyHistoryState(redo()), [applyHistoryState, redo])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [handleUndo, handleRedo])
+
+  // Opening a design (including the startup restore) starts a new undo
+  // history rather than becoming a step in the previous design's
+  const openDesign = useCallback((design, label) => {
+    setText(design.text)
+    updateConfig(design.config)
+    resetHistory({ text: design.text, config: design.config }, label)
+    restartIfPlaying()
+  }, [updateConfig, resetHistory, restartIfPlaying])
+
+  const handleProjectOpen = useCallback((project) => {
+    openDesign(project, 'Open project')
+  }, [openDesign])
+
+  const {
+    projects,
+    currentId,
+    lastSaved,
+    libraryError,
+    openProject: openLibraryProject,
+    startNewProject,
+    renameProject,
+    duplicateProject,
+    removeProject
+  } = useProjectLibrary(canvasRef, text, config, handleProjectOpen, { restore: !openedFromLink })
+
+  // A project opened from a file is saved to the library as a new project
+  const handleProjectFileOpen = useCallback((project) => {
+    startNewProject()
+    handleProjectOpen(project)
+  }, [startNewProject, handleProjectOpen])
+
+  const {
+    saveProject,
+    openProject,
+    projectError,
+    projectWarning
+  } = useProject(canvasRef, text, config, handleProjectFileOpen)
+
+  // Likewise for a design opened from a share link
+  const handleLinkOpen = useCallback((design) => {
+    startNewProject()
+    openDesign(design, 'Open link')
+  }, [startNewProject, openDesign])
+
+  const {
+    shareDesign,
+    shareStatus,
+    shareWarning,
+    dismissShareWarning
+  } = useShareLink(text, config, handleLinkOpen)
+
+  const handleTextChange = useCallback((newText) => {
+    commitChange('Edit text', { text: newText })
+    restartIfPlaying()
+  }, [commitChange, restartIfPlaying])
+
+  const handleConfigChange = useCallback((newConfig) => {
+    commitChange(describeConfigChange(config, newConfig), { config: newConfig })
+  }, [config, commitChange])
+
   const handlePlayPause = useCallback(() => {
     if (isPlaying) {
       stopAnimation()
@@ -51,13 +195,35 @@ function App() {
   }, [isPlaying, startAnimation, stopAnimation])
 
   const handleRandomize = useCallback(() => {
-    const newConfig = generateRandomConfig()
-    updateConfig(newConfig)
-    if (isPlaying) {
-      resetAnimation()
-      setTimeout(() => startAnimation(), 100)
+    const newConfig = withUserSettings(generateRandomConfig(), config)
+    commitChange('Randomize', { config: newConfig })
+    restartIfPlaying()
+  }, [config, commitChange, restartIfPlaying])
+
+  const handleSeedChange = useCallback((seed) => {
+    const newConfig = withUserSettings(generateRandomConfig(seed), config)
+    commitChange(`Seed ${seed}`, { config: newConfig })
+    restartIfPlaying()
+  }, [config, commitChange, restartIfPlaying])
+
+  const handleExportWebM = useCallback((options) => {
+    // Video is recorded from the live canvas, so the animation has to be running
+    if (!isPlaying) {
+      startAnimation()
+      setIsPlaying(true)
     }
-  }, [updateConfig, isPlaying, resetAnimation, startAnimation])
+    return exportWebM(options)
+  }, [isPlaying, startAnimation, exportWebM])
+
+  const handleTransparentBackgroundChange = useCallback((transparentBackground) => {
+    handleConfigChange({
+      ...config,
+      colors: {
+        ...config.colors,
+        transparentBackground
+      }
+    })
+  }, [config, handleConfigChange])
 
   const handleReset = useCallback(() => {
     resetAnimation()
@@ -78,6 +244,24 @@ function App() {
         <Header />
 
         <main className="container mx-auto px-4 py-8">
+          <AnimatePresence>
+            {shareWarning && (
+              <motion.div
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -10 }}
+                role="alert"
+                className="mb-6 flex items-start space-x-3 rounded-xl border border-amber-500/40 bg-amber-500/10 p-4 text-sm text-amber-200"
+              >
+                <AlertTriangle className="w-5 h-5 flex-shrink-0 text-amber-400" />
+                <p className="flex-1">{shareWarning}</p>
+                <button onClick={dismissShareWarning} className="text-amber-300 hover:text-white" title="Dismiss">
+                  <X className="w-4 h-4" />
+                </button>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
           <div className="grid grid-cols-1 xl:grid-cols-12 gap-8">
             {/* Left Panel - Controls */}
             <div className="xl:col-span-4 space-y-6">
@@ -100,8 +284,9 @@ function App() {
               >
                 <ControlPanel
                   config={config}
-                  onConfigChange={updateConfig}
+                  onConfigChange={handleConfigChange}
                   onRandomize={handleRandomize}
+                  onSeedChange={handleSeedChange}
                 />
               </motion.div>
 
@@ -115,9 +300,48 @@ function App() {
                   onPlayPause={handlePlayPause}
                   onReset={handleReset}
                   onExport={() => setShowExportPanel(true)}
+                  onSaveProject={saveProject}
+                  onOpenProject={openProject}
+                  projectError={projectError}
+                  projectWarning={projectWarning}
+                  onShare={shareDesign}
+                  shareStatus={shareStatus}
                   isAnimating={isAnimating}
                 />
               </motion.div>
+
+              <motion.div
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ duration: 0.5, delay: 0.3 }}
+              >
+                <HistoryPanel
+                  entries={historyEntries}
+                  index={historyIndex}
+                  canUndo={canUndo}
+                  canRedo={canRedo}
+                  onUndo={handleUndo}
+                  onRedo={handleRedo}
+                  onSelect={(index) => applyHistoryState(goToHistory(index))}
+                />
+              </motion.div>
+
+              <motion.div
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ duration: 0.5, delay: 0.4 }}
+              >
+                <ProjectLibrary
+                  projects={projects}
+                  currentId={currentId}
+                  lastSaved={lastSaved}
+                  error={libraryError}
+                  onOpen={openLibraryProject}
+                  onRename={renameProject}
+                  onDuplicate={duplicateProject}
+                  onDelete={removeProject}
+                />
+              </motion.div>
             </div>
 
             {/* Right Panel - Animation Canvas */}
@@ -161,8 +385,14 @@ function App() {
               <ExportPanel
                 onClose={() => setShowExportPanel(false)}
                 onExportPNG={exportPNG}
+                onExportGIF={exportGIF}
+                onExportAPNG={exportAPNG}
+                onExportWebM={handleExportWebM}
+                transparentBackground={config.colors?.transparentBackground}
+                onTransparentBackgroundChange={handleTransparentBackgroundChange}
                 isExporting={isExporting}
                 exportProgress={exportProgress}
+                exportError={exportError}
               />
             </motion.div>
           </motion.div>
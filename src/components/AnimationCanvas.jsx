@@ -3,16 +3,26 @@ import { motion } from 'framer-motion'
 import { useCanvasAnimation } from '../hooks/useCanvasAnimation'
 import logger from '../utils/logger'
 
+// Checkerboard shown behind the canvas when the background is transparent
+const CHECKERBOARD_STYLE = {
+  backgroundColor: '#1e293b',
+  backgroundImage: 'repeating-conic-gradient(#334155 0% 25%, transparent 0% 50%)',
+  backgroundSize: '20px 20px'
+}
+
 const AnimationCanvas = forwardRef(({ text, config, isPlaying, isAnimating }, ref) => {
   const canvasRef = useRef(null)
   const containerRef = useRef(null)
+  const transparentBackground = !!config?.colors?.transparentBackground
 
   const {
     startCanvasAnimation,
     stopCanvasAnimation,
     resetCanvasAnimation,
+    restartCanvasAnimation,
     updateCanvasConfig,
     getCanvasImageData,
+    getAnimationTime,
     isCanvasReady,
     startRecording,
     stopRecording,
@@ -21,12 +31,14 @@ const AnimationCanvas = forwardRef(({ text, config, isPlaying, isAnimating }, re
 
   useImperativeHandle(ref, () => ({
     getImageData: getCanvasImageData,
+    getAnimationTime,
     canvas: canvasRef.current,
     canvasElement: canvasRef.current, // Direct canvas element access
     current: canvasRef.current, // React ref compatibility
     startAnimation: startCanvasAnimation,
     stopAnimation: stopCanvasAnimation,
     resetAnimation: resetCanvasAnimation,
+    restartAnimation: restartCanvasAnimation,
     startRecording: startRecording,
     stopRecording: stopRecording,
     isRecording: isCanvasRecording,
@@ -83,7 +95,10 @@ const AnimationCanvas = forwardRef(({ text, config, isPlaying, isAnimating }, re
   return (
     <div
       ref={containerRef}
-      className="relative w-full h-full bg-gradient-to-br from-slate-800 to-slate-900 rounded-xl overflow-hidden"
+      className={`relative w-full h-full rounded-xl overflow-hidden ${
+        transparentBackground ? '' : 'bg-gradient-to-br from-slate-800 to-slate-900'
+      }`}
+      style={transparentBackground ? CHECKERBOARD_STYLE : undefined}
     >
       {/* Canvas */}
       <canvas
@@ -98,38 +113,13 @@ const AnimationCanvas = forwardRef(({ text, config, isPlaying, isAnimating }, re
       {/* Overlay Effects */}
       <div className="absolute inset-0 pointer-events-none">
         {/* Ambient Glow */}
-        <div
-          className="absolute inset-0 opacity-20"
-          style={{
-            background: `radial-gradient(circle at center, ${config?.colors?.primary || '#8b5cf6'}15 0%, transparent 70%)`
-          }}
-        />
-
-        {/* Particle Overlay (CSS-based for performance) */}
-        {config?.effects?.particles && (
-          <div className="absolute inset-0">
-            {[...Array(15)].map((_, i) => (
-              <motion.div
-                key={i}
-                className="absolute w-1 h-1 bg-white/20 rounded-full"
-                style={{
-                  left: `${Math.random() * 100}%`,
-                  top: `${Math.random() * 100}%`,
-                }}
-                animate={{
-                  y: [0, -30, 0],
-                  opacity: [0, 0.6, 0],
-                  scale: [0, 1, 0]
-                }}
-                transition={{
-                  duration: 4 + Math.random() * 3,
-                  repeat: Infinity,
-                  delay: Math.random() * 3,
-                  ease: "easeInOut"
-                }}
-              />
-            ))}
-          </div>
+        {!transparentBackground && (
+          <div
+            className="absolute inset-0 opacity-20"
+            style={{
+              background: `radial-gradient(circle at center, ${config?.colors?.primary || '#8b5cf6'}15 0%, transparent 70%)`
+            }}
+          />
         )}
       </div>
 
@@ -1,9 +1,31 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { Settings, Shuffle, Palette, Zap, Layers, Timer } from 'lucide-react'
+import { Settings, Shuffle, Palette, Zap, Layers, Timer, Hash, Film, Box, Sparkles } from 'lucide-react'
+import { parseSeed } from '../utils/random'
+import { defaultMorph, defaultScene3D } from '../utils/animationConfig'
+import { postEffects } from '../utils/postProcessing'
+import { pathShapes } from '../utils/textPath'
+import { animationRegistry } from '../utils/animations'
+import { entranceRegistry, exitRegistry, DEFAULT_TRANSITION } from '../utils/transitions'
+import TimelineEditor from './TimelineEditor'
+import EasingEditor from './EasingEditor'
+import ParticleControls from './ParticleControls'
 
-const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
+const ControlPanel = ({ config, onConfigChange, onRandomize, onSeedChange }) => {
   const [activeTab, setActiveTab] = useState('animation')
+  const [seedInput, setSeedInput] = useState(String(config.seed ?? ''))
+
+  useEffect(() => {
+    setSeedInput(String(config.seed ?? ''))
+  }, [config.seed])
+
+  const handleSeedSubmit = (e) => {
+    e.preventDefault()
+    const seed = parseSeed(seedInput)
+    if (seed !== null) {
+      onSeedChange(seed)
+    }
+  }
 
   const handleFontChange = (font) => {
     onConfigChange({
@@ -15,6 +37,16 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
     })
   }
 
+  const handleLayoutChange = (key, value) => {
+    onConfigChange({
+      ...config,
+      layout: {
+        ...config.layout,
+        [key]: value
+      }
+    })
+  }
+
   const handleAnimationChange = (type) => {
     onConfigChange({
       ...config,
@@ -25,6 +57,23 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
     })
   }
 
+  const handleUnitChange = (unit) => {
+    onConfigChange({
+      ...config,
+      animation: {
+        ...config.animation,
+        unit
+      }
+    })
+  }
+
+  const handleTimelineChange = (timeline) => {
+    onConfigChange({
+      ...config,
+      timeline
+    })
+  }
+
   const handleColorChange = (colorType, color) => {
     onConfigChange({
       ...config,
@@ -45,6 +94,69 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
     })
   }
 
+  const handleAnimationSettingChange = (setting, value) => {
+    onConfigChange({
+      ...config,
+      animation: {
+        ...config.animation,
+        [setting]: value
+      }
+    })
+  }
+
+  const handleTimingChange = (setting, value) => {
+    onConfigChange({
+      ...config,
+      timing: {
+        ...config.timing,
+        [setting]: value
+      }
+    })
+  }
+
+  const handleParticlesChange = (particles) => {
+    onConfigChange({
+      ...config,
+      particles
+    })
+  }
+
+  const handleIntensityChange = (effect, value) => {
+    onConfigChange({
+      ...config,
+      effectIntensity: {
+        ...config.effectIntensity,
+        [effect]: value
+      }
+    })
+  }
+
+  const getEffectIntensity = (effect) => {
+    return config.effectIntensity?.[effect] ?? postEffects[effect].defaultIntensity
+  }
+
+  const handleScene3DChange = (setting, value) => {
+    onConfigChange({
+      ...config,
+      scene3d: {
+        ...defaultScene3D,
+        ...config.scene3d,
+        [setting]: value
+      }
+    })
+  }
+
+  const handleMorphChange = (setting, value) => {
+    onConfigChange({
+      ...config,
+      morph: {
+        ...defaultMorph,
+        ...config.morph,
+        [setting]: value
+      }
+    })
+  }
+
   const handleSpeedChange = (speed) => {
     onConfigChange({
       ...config,
@@ -60,17 +172,56 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
     'Oswald', 'Raleway', 'Nunito', 'Playfair Display', 'Source Sans Pro'
   ]
 
-  const animationTypes = [
-    { id: 'bounce', name: 'Bounce', icon: '⚡' },
-    { id: 'wave', name: 'Wave', icon: '🌊' },
-    { id: 'rotate', name: 'Rotate', icon: '🔄' },
-    { id: 'scale', name: 'Scale', icon: '📏' },
-    { id: 'fade', name: 'Fade', icon: '✨' },
-    { id: 'slide', name: 'Slide', icon: '➡️' },
-    { id: 'glitch', name: 'Glitch', icon: '📺' },
-    { id: 'elastic', name: 'Elastic', icon: '🎈' }
+  const animationTypes = Object.entries(animationRegistry).map(([id, { name, icon }]) => ({ id, name, icon }))
+
+  const animationUnits = [
+    { id: 'char', name: 'Letter' },
+    { id: 'word', name: 'Word' },
+    { id: 'line', name: 'Line' },
+    { id: 'whole', name: 'Whole' }
+  ]
+
+  const transitionGroups = [
+    { id: 'entrance', name: 'Entrance', registry: entranceRegistry },
+    { id: 'exit', name: 'Exit', registry: exitRegistry }
   ]
 
+  // Sliders for the intro / hold / outro cycle
+  const timingControls = [
+    { id: 'duration', group: 'animation', name: 'Hold', min: 1000, max: 10000, step: 250, format: (v) => `${(v / 1000).toFixed(2)}s` },
+    { id: 'delay', group: 'animation', name: 'Delay', min: 0, max: 2000, step: 50, format: (v) => `${v}ms` },
+    { id: 'stagger', group: 'timing', name: 'Stagger', min: 0, max: 500, step: 10, format: (v) => `${v}ms` },
+    { id: 'overlap', group: 'timing', name: 'Overlap', min: 0, max: 0.9, step: 0.05, format: (v) => `${Math.round(v * 100)}%` }
+  ]
+
+  const effectToggles = [
+    { id: 'particles', name: 'Particles', desc: 'Sparkles, stars and confetti around the text' },
+    { id: 'glow', name: 'Glow Effect', desc: 'Soft glow and bloom around bright text' },
+    { id: 'shadow', name: 'Drop Shadow', desc: 'Dynamic shadow effects' },
+    { id: 'gradient', name: 'Gradient Fill', desc: 'Animated color gradients' },
+    { id: 'blur', name: 'Blur', desc: 'Soft focus over the whole frame' },
+    { id: 'distortion', name: 'Wave Distortion', desc: 'Rippling heat-haze warp' },
+    { id: 'chromatic', name: 'Chromatic Aberration', desc: 'Red and blue fringes toward the edges' },
+    { id: 'scanlines', name: 'CRT Scanlines', desc: 'Retro monitor lines and vignette' }
+  ]
+
+  // Typeface fonts and materials offered by textScene3D.js
+  const scene3DFonts = [
+    { id: 'helvetiker', name: 'Sans' },
+    { id: 'optimer', name: 'Rounded' },
+    { id: 'gentilis', name: 'Serif' }
+  ]
+
+  const scene3DMaterials = [
+    { id: 'matte', name: 'Matte' },
+    { id: 'glossy', name: 'Glossy' },
+    { id: 'metal', name: 'Metal' },
+    { id: 'toon', name: 'Toon' }
+  ]
+
+  const scene3d = { ...defaultScene3D, ...config.scene3d }
+  const morph = { ...defaultMorph, ...config.morph }
+
   const colorPresets = [
     { name: 'Sunset', primary: '#ff6b6b', secondary: '#4ecdc4', accent: '#45b7d1' },
     { name: 'Ocean', primary: '#0066cc', secondary: '#0099ff', accent: '#00ccff' },
@@ -84,7 +235,8 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
     { id: 'animation', name: 'Animation', icon: Zap },
     { id: 'typography', name: 'Typography', icon: Settings },
     { id: 'colors', name: 'Colors', icon: Palette },
-    { id: 'effects', name: 'Effects', icon: Layers }
+    { id: 'effects', name: 'Effects', icon: Layers },
+    { id: 'timeline', name: 'Timeline', icon: Film }
   ]
 
   return (
@@ -105,6 +257,28 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
         </motion.button>
       </div>
 
+      {/* Seed */}
+      <form onSubmit={handleSeedSubmit} className="flex items-center space-x-2">
+        <label htmlFor="design-seed" className="text-sm text-gray-400 flex items-center space-x-1">
+          <Hash className="w-4 h-4" />
+          <span>Seed</span>
+        </label>
+        <input
+          id="design-seed"
+          type="text"
+          value={seedInput}
+          onChange={(e) => setSeedInput(e.target.value)}
+          placeholder="Number or word"
+          className="flex-1 min-w-0 px-3 py-1.5 bg-slate-800/80 text-white text-sm font-mono placeholder-gray-500 rounded-lg outline-none focus:ring-2 focus:ring-purple-500/40"
+        />
+        <button
+          type="submit"
+          className="px-3 py-1.5 text-sm bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors"
+        >
+          Apply
+        </button>
+      </form>
+
       {/* Tab Navigation */}
       <div className="flex space-x-1 bg-slate-800/50 rounded-lg p-1">
         {tabs.map((tab) => {
@@ -154,6 +328,46 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
               </div>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Animate By</label>
+              <div className="grid grid-cols-4 gap-1 bg-slate-800/50 rounded-lg p-1">
+                {animationUnits.map((unit) => (
+                  <button
+                    key={unit.id}
+                    onClick={() => handleUnitChange(unit.id)}
+                    className={`px-2 py-1.5 rounded-md text-sm font-medium transition-all duration-200 ${
+                      (config.animation?.unit || 'char') === unit.id
+                        ? 'bg-purple-600 text-white'
+                        : 'text-gray-400 hover:text-white hover:bg-slate-700/50'
+                    }`}
+                  >
+                    {unit.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {transitionGroups.map((group) => (
+              <div key={group.id}>
+                <label className="block text-sm font-medium text-gray-300 mb-2">{group.name}</label>
+                <div className="grid grid-cols-4 gap-1">
+                  {Object.entries(group.registry).map(([id, { name }]) => (
+                    <button
+                      key={id}
+                      onClick={() => handleAnimationSettingChange(group.id, id)}
+                      className={`px-2 py-1.5 rounded-md text-xs font-medium transition-all duration-200 ${
+                        (config.animation?.[group.id] || DEFAULT_TRANSITION) === id
+                          ? 'bg-purple-600 text-white'
+                          : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
+                      }`}
+                    >
+                      {name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+
             <div>
               <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center space-x-2">
                 <Timer className="w-4 h-4" />
@@ -169,6 +383,35 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
                 className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Easing</label>
+              <EasingEditor
+                value={config.animation?.easing}
+                onChange={(easing) => handleAnimationSettingChange('easing', easing)}
+              />
+            </div>
+
+            {timingControls.map((control) => {
+              const value = config[control.group]?.[control.id] ?? control.min
+              const onChange = control.group === 'timing' ? handleTimingChange : handleAnimationSettingChange
+              return (
+                <div key={control.id}>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    {control.name}: {control.format(value)}
+                  </label>
+                  <input
+                    type="range"
+                    min={control.min}
+                    max={control.max}
+                    step={control.step}
+                    value={value}
+                    onChange={(e) => onChange(control.id, parseFloat(e.target.value))}
+                    className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                </div>
+              )
+            })}
           </motion.div>
         )}
 
@@ -197,6 +440,40 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
                 ))}
               </div>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Text Path</label>
+              <div className="grid grid-cols-3 gap-2">
+                {Object.entries(pathShapes).map(([key, shape]) => (
+                  <button
+                    key={key}
+                    onClick={() => handleLayoutChange('path', key)}
+                    className={`p-2 rounded-lg text-sm transition-all duration-200 ${
+                      (config.layout?.path || 'none') === key
+                        ? 'bg-purple-600 text-white'
+                        : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
+                    }`}
+                  >
+                    {shape.name}
+                  </button>
+                ))}
+              </div>
+              {config.layout?.path === 'svg' && (
+                <div className="mt-3">
+                  <label className="block text-xs text-gray-400 mb-1">SVG path data</label>
+                  <textarea
+                    value={config.layout?.pathData || ''}
+                    onChange={(e) => handleLayoutChange('pathData', e.target.value)}
+                    placeholder="M 0 100 C 50 0, 150 0, 200 100"
+                    rows={3}
+                    className="w-full px-3 py-1.5 bg-slate-800/80 text-white text-xs font-mono placeholder-gray-500 rounded-lg outline-none focus:ring-2 focus:ring-purple-500/40"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Scaled to fit the canvas. Text stays straight until the path is valid.
+                  </p>
+                </div>
+              )}
+            </div>
           </motion.div>
         )}
 
@@ -235,39 +512,207 @@ const ControlPanel = ({ config, onConfigChange, onRandomize }) => {
             className="space-y-4"
           >
             <div className="space-y-3">
-              {[
-                { id: 'particles', name: 'Particles', desc: 'Floating sparkles and dots' },
-                { id: 'glow', name: 'Glow Effect', desc: 'Soft radial glow around text' },
-                { id: 'shadow', name: 'Drop Shadow', desc: 'Dynamic shadow effects' },
-                { id: 'gradient', name: 'Gradient Fill', desc: 'Animated color gradients' }
-              ].map((effect) => (
+              {effectToggles.map((effect) => (
                 <div
                   key={effect.id}
-                  className="flex items-center justify-between p-3 bg-slate-700/30 rounded-lg"
+                  className="p-3 bg-slate-700/30 rounded-lg space-y-2"
                 >
-                  <div>
-                    <div className="font-medium text-white">{effect.name}</div>
-                    <div className="text-xs text-gray-400">{effect.desc}</div>
-                  </div>
-                  <button
-                    onClick={() => handleEffectToggle(effect.id)}
-                    className={`w-12 h-6 rounded-full transition-all duration-200 ${
-                      config.effects?.[effect.id]
-                        ? 'bg-purple-600'
-                        : 'bg-slate-600'
-                    }`}
-                  >
-                    <div
-                      className={`w-4 h-4 bg-white rounded-full transition-transform duration-200 ${
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="font-medium text-white">{effect.name}</div>
+                      <div className="text-xs text-gray-400">{effect.desc}</div>
+                    </div>
+                    <button
+                      onClick={() => handleEffectToggle(effect.id)}
+                      className={`w-12 h-6 rounded-full transition-all duration-200 ${
                         config.effects?.[effect.id]
-                          ? 'transform translate-x-7'
-                          : 'transform translate-x-1'
+                          ? 'bg-purple-600'
+                          : 'bg-slate-600'
                       }`}
-                    />
-                  </button>
+                    >
+                      <div
+                        className={`w-4 h-4 bg-white rounded-full transition-transform duration-200 ${
+                          config.effects?.[effect.id]
+                            ? 'transform translate-x-7'
+                            : 'transform translate-x-1'
+                        }`}
+                      />
+                    </button>
+                  </div>
+
+                  {effect.id === 'particles' && config.effects?.particles && (
+                    <ParticleControls config={config} onChange={handleParticlesChange} />
+                  )}
+
+                  {/* Shader effects have a strength */}
+                  {postEffects[effect.id] && config.effects?.[effect.id] && (
+                    <div>
+                      <label className="block text-xs text-gray-400 mb-1">
+                        {postEffects[effect.id].name} Intensity: {Math.round(getEffectIntensity(effect.id) * 100)}%
+                      </label>
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={getEffectIntensity(effect.id)}
+                        onChange={(e) => handleIntensityChange(effect.id, parseFloat(e.target.value))}
+                        className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+                      />
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
+
+            {/* 3D text */}
+            <div className="space-y-3 p-3 bg-slate-700/30 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-white flex items-center space-x-2">
+                    <Box className="w-4 h-4 text-purple-400" />
+                    <span>3D Text</span>
+                  </div>
+                  <div className="text-xs text-gray-400">Extruded letters with lighting (Latin text)</div>
+                </div>
+                <button
+                  onClick={() => handleScene3DChange('enabled', !scene3d.enabled)}
+                  className={`w-12 h-6 rounded-full transition-all duration-200 ${
+                    scene3d.enabled ? 'bg-purple-600' : 'bg-slate-600'
+                  }`}
+                >
+                  <div
+                    className={`w-4 h-4 bg-white rounded-full transition-transform duration-200 ${
+                      scene3d.enabled ? 'transform translate-x-7' : 'transform translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+
+              {scene3d.enabled && (
+                <>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">
+                      Depth: {Math.round(scene3d.depth * 100)}%
+                    </label>
+                    <input
+                      type="range"
+                      min="0.05"
+                      max="1"
+                      step="0.05"
+                      value={scene3d.depth}
+                      onChange={(e) => handleScene3DChange('depth', parseFloat(e.target.value))}
+                      className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-4 gap-2">
+                    {scene3DMaterials.map((material) => (
+                      <button
+                        key={material.id}
+                        onClick={() => handleScene3DChange('material', material.id)}
+                        className={`px-2 py-1.5 text-xs rounded-lg transition-colors ${
+                          scene3d.material === material.id
+                            ? 'bg-purple-600 text-white'
+                            : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
+                        }`}
+                      >
+                        {material.name}
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={scene3d.font}
+                      onChange={(e) => handleScene3DChange('font', e.target.value)}
+                      className="flex-1 px-2 py-1.5 bg-slate-800/80 text-white text-sm rounded-md outline-none"
+                    >
+                      {scene3DFonts.map((font) => (
+                        <option key={font.id} value={font.id}>{font.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleScene3DChange('bevel', !scene3d.bevel)}
+                      className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                        scene3d.bevel ? 'bg-purple-600 text-white' : 'bg-slate-700 text-gray-300'
+                      }`}
+                    >
+                      Bevel
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Text-to-particles morph */}
+            <div className="space-y-3 p-3 bg-slate-700/30 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-white flex items-center space-x-2">
+                    <Sparkles className="w-4 h-4 text-purple-400" />
+                    <span>Particle Morph</span>
+                  </div>
+                  <div className="text-xs text-gray-400">Letters assemble from particles and scatter again</div>
+                </div>
+                <button
+                  onClick={() => handleMorphChange('enabled', !morph.enabled)}
+                  className={`w-12 h-6 rounded-full transition-all duration-200 ${
+                    morph.enabled ? 'bg-purple-600' : 'bg-slate-600'
+                  }`}
+                >
+                  <div
+                    className={`w-4 h-4 bg-white rounded-full transition-transform duration-200 ${
+                      morph.enabled ? 'transform translate-x-7' : 'transform translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+
+              {morph.enabled && (
+                <>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Morph into (optional)</label>
+                    <input
+                      type="text"
+                      value={morph.target}
+                      onChange={(e) => handleMorphChange('target', e.target.value)}
+                      placeholder="Second word"
+                      maxLength={50}
+                      className="w-full px-3 py-1.5 bg-slate-800/80 text-white text-sm placeholder-gray-500 rounded-lg outline-none focus:ring-2 focus:ring-purple-500/40"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">
+                      Particle spacing: {morph.spacing}px
+                    </label>
+                    <input
+                      type="range"
+                      min="3"
+                      max="12"
+                      step="1"
+                      value={morph.spacing}
+                      onChange={(e) => handleMorphChange('spacing', parseInt(e.target.value, 10))}
+                      className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          </motion.div>
+        )}
+
+        {activeTab === 'timeline' && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <TimelineEditor
+              timeline={config.timeline}
+              active={config.animation?.type === 'keyframes'}
+              onActivate={() => handleAnimationChange('keyframes')}
+              onChange={handleTimelineChange}
+            />
           </motion.div>
         )}
       </div>
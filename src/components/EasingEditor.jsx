@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useRef } from 'react'
+import {
+  DEFAULT_EASING,
+  DEFAULT_SPRING,
+  cssKeywords,
+  describeEasing,
+  formatCubicBezier,
+  formatSpring,
+  formatSteps,
+  getEasing,
+  isValidEasing
+} from '../utils/easing'
+
+// Plot geometry: progress 0–1 across, output -0.5–1.5 up, in a 200x200 viewBox
+const PLOT_LEFT = 20
+const PLOT_WIDTH = 160
+const PLOT_ZERO = 150
+const PLOT_UNIT = 100
+const SAMPLES = 60
+
+const toPlotX = (x) => PLOT_LEFT + x * PLOT_WIDTH
+const toPlotY = (y) => PLOT_ZERO - y * PLOT_UNIT
+
+const modes = [
+  { id: 'bezier', name: 'Curve', defaultValue: DEFAULT_EASING },
+  { id: 'steps', name: 'Steps', defaultValue: formatSteps(5) },
+  { id: 'spring', name: 'Spring', defaultValue: formatSpring(DEFAULT_SPRING) }
+]
+
+const stepPositions = ['jump-start', 'jump-end', 'jump-none', 'jump-both']
+
+const springControls = [
+  { id: 'stiffness', name: 'Stiffness', min: 10, max: 500, step: 5 },
+  { id: 'damping', name: 'Damping', min: 1, max: 60, step: 1 },
+  { id: 'mass', name: 'Mass', min: 0.1, max: 5, step: 0.1 }
+]
+
+const EasingEditor = ({ value, onChange }) => {
+  const easing = value || DEFAULT_EASING
+  const description = describeEasing(easing)
+  const [draft, setDraft] = useState(easing)
+  const [dragging, setDragging] = useState(null)
+  const svgRef = useRef(null)
+
+  useEffect(() => {
+    setDraft(easing)
+  }, [easing])
+
+  const curve = getEasing(easing)
+  const curvePoints = Array.from({ length: SAMPLES + 1 }, (_, i) => {
+    const t = i / SAMPLES
+    return `${toPlotX(t)},${toPlotY(curve(t))}`
+  }).join(' ')
+
+  const handlePointerMove = (e) => {
+    if (dragging === null || description.mode !== 'bezier') return
+
+    const rect = svgRef.current.getBoundingClientRect()
+    const viewX = ((e.clientX - rect.left) / rect.width) * 200
+    const viewY = ((e.clientY - rect.top) / rect.height) * 200
+    const x = Math.max(0, Math.min(1, (viewX - PLOT_LEFT) / PLOT_WIDTH))
+    const y = Math.max(-0.5, Math.min(1.5, (PLOT_ZERO - viewY) / PLOT_UNIT))
+
+    const points = [...description.points]
+    points[dragging * 2] = x
+    points[dragging * 2 + 1] = y
+    onChange(formatCubicBezier(points))
+  }
+
+  const handlePointerDown = (handle) => (e) => {
+    e.preventDefault()
+    svgRef.current.setPointerCapture(e.pointerId)
+    setDragging(handle)
+  }
+
+  const commitDraft = () => {
+    if (isValidEasing(draft)) {
+      onChange(draft.trim())
+    } else {
+      setDraft(easing)
+    }
+  }
+
+  const handles = description.mode === 'bezier'
+    ? [[description.points[0], description.points[1], 0, 0], [description.points[2], description.points[3], 1, 1]]
+    : []
+
+  return (
+    <div className="space-y-3">
+      {/* Mode */}
+      <div className="grid grid-cols-3 gap-1 bg-slate-800/50 rounded-lg p-1">
+        {modes.map((mode) => (
+          <button
+            key={mode.id}
+            onClick={() => description.mode !== mode.id && onChange(mode.defaultValue)}
+            className={`px-2 py-1.5 rounded-md text-sm font-medium transition-all duration-200 ${
+              description.mode === mode.id
+                ? 'bg-purple-600 text-white'
+                : 'text-gray-400 hover:text-white hover:bg-slate-700/50'
+            }`}
+          >
+            {mode.name}
+          </button>
+        ))}
+      </div>
+
+      {/* Curve plot */}
+      <svg
+        ref={svgRef}
+        viewBox="0 0 200 200"
+        className="w-full max-w-[240px] mx-auto block bg-slate-800/80 rounded-lg touch-none select-none"
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => setDragging(null)}
+        onPointerCancel={() => setDragging(null)}
+      >
+        <rect
+          x={toPlotX(0)}
+          y={toPlotY(1)}
+          width={PLOT_WIDTH}
+          height={PLOT_UNIT}
+          fill="none"
+          stroke="rgba(148, 163, 184, 0.3)"
+          strokeDasharray="4 4"
+        />
+        {handles.map(([x, y, anchorX, anchorY], i) => (
+          <line
+            key={`arm-${i}`}
+            x1={toPlotX(anchorX)}
+            y1={toPlotY(anchorY)}
+            x2={toPlotX(x)}
+            y2={toPlotY(y)}
+            stroke="rgba(192, 132, 252, 0.6)"
+            strokeWidth="1.5"
+          />
+        ))}
+        <polyline points={curvePoints} fill="none" stroke="#a855f7" strokeWidth="3" strokeLinejoin="round" />
+        {handles.map(([x, y], i) => (
+          <circle
+            key={`handle-${i}`}
+            cx={toPlotX(x)}
+            cy={toPlotY(y)}
+            r="7"
+            fill={dragging === i ? '#ffffff' : '#c084fc'}
+            className="cursor-grab"
+            onPointerDown={handlePointerDown(i)}
+          />
+        ))}
+      </svg>
+
+      {description.mode === 'bezier' && (
+        <div className="flex flex-wrap gap-2">
+          {Object.keys(cssKeywords).map((keyword) => (
+            <button
+              key={keyword}
+              onClick={() => onChange(keyword)}
+              className={`px-3 py-1 text-xs rounded-full transition-colors ${
+                easing === keyword
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
+              }`}
+            >
+              {keyword}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {description.mode === 'steps' && (
+        <div className="space-y-2">
+          <label className="block text-xs text-gray-400">Steps: {description.count}</label>
+          <input
+            type="range"
+            min="1"
+            max="20"
+            step="1"
+            value={description.count}
+            onChange={(e) => {
+              const count = parseInt(e.target.value, 10)
+              const position = description.position === 'jump-none' && count < 2 ? 'jump-end' : description.position
+              onChange(formatSteps(count, position))
+            }}
+            className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+          />
+          <select
+            value={description.position === 'start' ? 'jump-start' : description.position === 'end' ? 'jump-end' : description.position}
+            onChange={(e) => onChange(formatSteps(Math.max(e.target.value === 'jump-none' ? 2 : 1, description.count), e.target.value))}
+            className="w-full px-2 py-1.5 bg-slate-800/80 text-white text-sm rounded-md outline-none"
+          >
+            {stepPositions.map((position) => (
+              <option key={position} value={position}>{position}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {description.mode === 'spring' && springControls.map((control) => (
+        <div key={control.id}>
+          <label className="block text-xs text-gray-400 mb-1">
+            {control.name}: {description[control.id]}
+          </label>
+          <input
+            type="range"
+            min={control.min}
+            max={control.max}
+            step={control.step}
+            value={description[control.id]}
+            onChange={(e) => onChange(formatSpring({ ...description, [control.id]: parseFloat(e.target.value) }))}
+            className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+          />
+        </div>
+      ))}
+
+      {/* Raw value: any CSS easing or spring() */}
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commitDraft}
+        onKeyDown={(e) => e.key === 'Enter' && commitDraft()}
+        spellCheck={false}
+        className={`w-full px-3 py-1.5 bg-slate-800/80 text-white text-sm font-mono rounded-lg outline-none focus:ring-2 ${
+          isValidEasing(draft) ? 'focus:ring-purple-500/40' : 'ring-2 ring-red-500/60'
+        }`}
+      />
+    </div>
+  )
+}
+
+export default EasingEditor
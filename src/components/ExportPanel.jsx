@@ -1,14 +1,51 @@
 import React, { useState } from 'react'
 import { motion } from 'framer-motion'
-import { X, Download, FileImage, Loader } from 'lucide-react'
+import { X, Download, FileImage, Film, Video, Loader } from 'lucide-react'
+import { canvasExportSystem } from '../utils/canvasExportSystem'
 
 const ExportPanel = ({
   onClose,
   onExportPNG,
+  onExportGIF,
+  onExportAPNG,
+  onExportWebM,
+  transparentBackground,
+  onTransparentBackgroundChange,
   isExporting,
-  exportProgress
+  exportProgress,
+  exportError
 }) => {
+  const [format, setFormat] = useState('png')
   const [resolution, setResolution] = useState('1080p')
+  const [customSize, setCustomSize] = useState({ width: 1080, height: 1080 })
+  const [animationSize, setAnimationSize] = useState('480')
+  const [animationFps, setAnimationFps] = useState(15)
+  const [animationLoop, setAnimationLoop] = useState('forever')
+  const [gifDither, setGifDither] = useState('none')
+  const [videoQuality, setVideoQuality] = useState('medium')
+
+  const formats = {
+    png: {
+      name: 'PNG Image',
+      desc: 'High quality lossless static image',
+      icon: FileImage
+    },
+    gif: {
+      name: 'Animated GIF',
+      desc: 'Looping animation for chats and social posts',
+      icon: Film
+    },
+    apng: {
+      name: 'Animated PNG',
+      desc: 'Looping animation with full transparency',
+      icon: Film
+    },
+    webm: {
+      name: 'WebM Video',
+      desc: 'Smooth video clip recorded from the live preview',
+      icon: Video
+    }
+  }
 
   const resolutions = {
     '720p': { width: 1280, height: 720 },
@@ -16,21 +53,98 @@ const ExportPanel = ({
     '4K': { width: 3840, height: 2160 }
   }
 
-  const availableResolutions = ['720p', '1080p', '4K']
+  const availableResolutions = ['720p', '1080p', '4K', 'Custom']
+
+  const MAX_DIMENSION = 8192
+
+  const getResolution = () => {
+    if (resolution !== 'Custom') return resolutions[resolution]
+    return {
+      width: Math.min(Math.max(parseInt(customSize.width) || 1, 1), MAX_DIMENSION),
+      height: Math.min(Math.max(parseInt(customSize.height) || 1, 1), MAX_DIMENSION)
+    }
+  }
+
+  const isAnimatedImage = format === 'gif' || format === 'apng'
+
+  const animationSizes = ['320', '480', '640']
+  const animationFrameRates = [10, 15, 24, 30]
+
+  // gif.js counts extra repeats (-1 plays once); APNG counts total plays
+  const animationLoops = {
+    forever: { label: 'Forever', gifRepeat: 0, apngPlays: 0 },
+    once: { label: 'Once', gifRepeat: -1, apngPlays: 1 },
+    three: { label: '3×', gifRepeat: 2, apngPlays: 3 }
+  }
+
+  const gifDithers = {
+    none: { label: 'None', dither: false },
+    floyd: { label: 'Floyd–Steinberg', dither: 'FloydSteinberg-serpentine' },
+    atkinson: { label: 'Atkinson', dither: 'Atkinson' }
+  }
+
+  // Keys match the qualityPresets from the environment detector
+  const videoQualities = {
+    low: { label: 'Low', bitrate: '1 Mbps' },
+    medium: { label: 'Medium', bitrate: '2.5 Mbps' },
+    high: { label: 'High', bitrate: '5 Mbps' }
+  }
 
   const handleExport = () => {
-    const res = resolutions[resolution]
+    if (format === 'webm') {
+      onExportWebM({
+        quality: videoQuality,
+        format: 'webm'
+      })
+      return
+    }
+
+    if (format === 'gif') {
+      onExportGIF({
+        width: parseInt(animationSize),
+        fps: animationFps,
+        repeat: animationLoops[animationLoop].gifRepeat,
+        dither: gifDithers[gifDither].dither,
+        format: 'gif'
+      })
+      return
+    }
+
+    if (format === 'apng') {
+      onExportAPNG({
+        width: parseInt(animationSize),
+        fps: animationFps,
+        repeat: animationLoops[animationLoop].apngPlays,
+        format: 'apng'
+      })
+      return
+    }
+
+    const res = getResolution()
     onExportPNG({
       resolution: res,
       format: 'png'
     })
   }
 
+  // Formats this browser can't produce, with the reason shown in their place
+  const [unsupported] = useState(() => Object.fromEntries(
+    Object.keys(formats).map(id => [id, canvasExportSystem.getUnsupportedReason(id)])
+  ))
+
+  const optionClass = (selected) => `p-3 rounded-lg text-sm font-medium transition-all duration-200 ${
+    selected
+      ? 'bg-purple-600 text-white'
+      : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
+  }`
+
+  const FormatIcon = formats[format].icon
+
   return (
     <div className="space-y-6">
       {/* Header */}
       <div className="flex items-center justify-between">
-        <h3 className="text-xl font-bold text-white">Export PNG Image</h3>
+        <h3 className="text-xl font-bold text-white">Export {formats[format].name}</h3>
         <button
           onClick={onClose}
           className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
@@ -39,40 +153,188 @@ const ExportPanel = ({
         </button>
       </div>
 
+      {/* Format Selection */}
+      <div className="grid grid-cols-4 gap-2">
+        {Object.keys(formats).map((id) => (
+          <button
+            key={id}
+            onClick={() => setFormat(id)}
+            disabled={isExporting}
+            title={unsupported[id] || undefined}
+            className={`${optionClass(format === id)} ${unsupported[id] ? 'opacity-50' : ''}`}
+          >
+            {id.toUpperCase()}
+          </button>
+        ))}
+      </div>
+
       {/* Format Info */}
       <div className="bg-slate-700/30 rounded-lg p-4 border border-slate-600">
         <div className="flex items-start space-x-3">
-          <FileImage className="w-6 h-6 text-purple-400 mt-1" />
+          <FormatIcon className="w-6 h-6 text-purple-400 mt-1" />
           <div className="flex-1">
-            <div className="font-medium text-white">PNG Image</div>
-            <div className="text-sm text-gray-400">High quality lossless static image</div>
+            <div className="font-medium text-white">{formats[format].name}</div>
+            <div className="text-sm text-gray-400">{formats[format].desc}</div>
+            {unsupported[format] && (
+              <div className="text-sm text-amber-400 mt-1">{unsupported[format]}</div>
+            )}
           </div>
         </div>
       </div>
 
-      {/* Resolution Selection */}
-      <div className="space-y-3">
-        <label className="block text-sm font-medium text-gray-300">Resolution</label>
-        <div className="grid grid-cols-3 gap-2">
-          {availableResolutions.map((size) => (
-            <button
-              key={size}
-              onClick={() => setResolution(size)}
-              className={`p-3 rounded-lg text-sm font-medium transition-all duration-200 ${
-                resolution === size
-                  ? 'bg-purple-600 text-white'
-                  : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
-              }`}
-            >
-              {size}
-              <div className="text-xs opacity-75">
-                {resolutions[size].width}×{resolutions[size].height}
-              </div>
-            </button>
-          ))}
+      {format === 'png' && (
+        /* Resolution Selection */
+        <div className="space-y-3">
+          <label className="block text-sm font-medium text-gray-300">Resolution</label>
+          <div className="grid grid-cols-4 gap-2">
+            {availableResolutions.map((size) => (
+              <button
+                key={size}
+                onClick={() => setResolution(size)}
+                className={optionClass(resolution === size)}
+              >
+                {size}
+                <div className="text-xs opacity-75">
+                  {resolutions[size] ? `${resolutions[size].width}×${resolutions[size].height}` : 'Any size'}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {resolution === 'Custom' && (
+            <div className="flex items-center space-x-2">
+              {['width', 'height'].map((dimension, i) => (
+                <React.Fragment key={dimension}>
+                  {i > 0 && <span className="text-gray-400">×</span>}
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_DIMENSION}
+                    value={customSize[dimension]}
+                    onChange={(e) => setCustomSize({ ...customSize, [dimension]: e.target.value })}
+                    aria-label={`Custom ${dimension}`}
+                    className="w-full px-3 py-2 bg-slate-700/50 text-white text-sm rounded-lg outline-none focus:ring-2 focus:ring-purple-500/40"
+                  />
+                </React.Fragment>
+              ))}
+              <span className="text-xs text-gray-400">px</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Transparent Background */}
+      <div className="flex items-center justify-between p-3 bg-slate-700/30 rounded-lg">
+        <div>
+          <div className="font-medium text-white">Transparent Background</div>
+          <div className="text-xs text-gray-400">
+            {format === 'gif'
+              ? 'GIF has no alpha channel; use APNG or WebM to keep transparency'
+              : 'Skip the background fill for overlays in video editors'}
+          </div>
         </div>
+        <button
+          onClick={() => onTransparentBackgroundChange(!transparentBackground)}
+          aria-pressed={!!transparentBackground}
+          className={`w-12 h-6 flex-shrink-0 rounded-full transition-all duration-200 ${
+            transparentBackground ? 'bg-purple-600' : 'bg-slate-600'
+          }`}
+        >
+          <div
+            className={`w-4 h-4 bg-white rounded-full transition-transform duration-200 ${
+              transparentBackground ? 'transform translate-x-7' : 'transform translate-x-1'
+            }`}
+          />
+        </button>
       </div>
 
+      {isAnimatedImage && (
+        /* Animated Image Options */
+        <div className="space-y-4">
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-300">Width</label>
+            <div className="grid grid-cols-3 gap-2">
+              {animationSizes.map((size) => (
+                <button
+                  key={size}
+                  onClick={() => setAnimationSize(size)}
+                  className={optionClass(animationSize === size)}
+                >
+                  {size}px
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-300">Frame Rate</label>
+            <div className="grid grid-cols-4 gap-2">
+              {animationFrameRates.map((fps) => (
+                <button
+                  key={fps}
+                  onClick={() => setAnimationFps(fps)}
+                  className={optionClass(animationFps === fps)}
+                >
+                  {fps}
+                  <div className="text-xs opacity-75">fps</div>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-300">Loop</label>
+            <div className="grid grid-cols-3 gap-2">
+              {Object.entries(animationLoops).map(([id, loop]) => (
+                <button
+                  key={id}
+                  onClick={() => setAnimationLoop(id)}
+                  className={optionClass(animationLoop === id)}
+                >
+                  {loop.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {format === 'gif' && (
+            <div className="space-y-3">
+              <label className="block text-sm font-medium text-gray-300">Dithering</label>
+              <div className="grid grid-cols-3 gap-2">
+                {Object.entries(gifDithers).map(([id, option]) => (
+                  <button
+                    key={id}
+                    onClick={() => setGifDither(id)}
+                    className={optionClass(gifDither === id)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {format === 'webm' && (
+        /* Video Quality Selection */
+        <div className="space-y-3">
+          <label className="block text-sm font-medium text-gray-300">Quality</label>
+          <div className="grid grid-cols-3 gap-2">
+            {Object.entries(videoQualities).map(([id, option]) => (
+              <button
+                key={id}
+                onClick={() => setVideoQuality(id)}
+                className={optionClass(videoQuality === id)}
+              >
+                {option.label}
+                <div className="text-xs opacity-75">{option.bitrate}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Export Progress */}
       {isExporting && (
         <div className="space-y-3">
@@ -97,9 +359,9 @@ const ExportPanel = ({
         whileHover={{ scale: 1.02 }}
         whileTap={{ scale: 0.98 }}
         onClick={handleExport}
-        disabled={isExporting}
+        disabled={isExporting || !!unsupported[format]}
         className={`w-full flex items-center justify-center space-x-2 py-3 px-4 rounded-lg font-medium transition-all duration-200 ${
-          isExporting
+          isExporting || unsupported[format]
             ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
             : 'bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white'
         }`}
@@ -112,20 +374,43 @@ const ExportPanel = ({
         ) : (
           <>
             <Download className="w-5 h-5" />
-            <span>Export PNG Image</span>
+            <span>Export {formats[format].name}</span>
           </>
         )}
       </motion.button>
 
+      {exportError && !isExporting && (
+        <p className="text-xs text-red-400">{exportError}</p>
+      )}
+
       {/* File Size Estimate */}
-      <div className="bg-slate-800/30 rounded-lg p-3 text-xs text-gray-400">
-        <p className="font-medium mb-1">📁 Estimated file size:</p>
-        <p>
-          ~{Math.round(resolutions[resolution].width * resolutions[resolution].height * 0.000003)}MB
-        </p>
-      </div>
+      {format === 'png' && (
+        <div className="bg-slate-800/30 rounded-lg p-3 text-xs text-gray-400">
+          <p className="font-medium mb-1">📁 Estimated file size:</p>
+          <p>
+            ~{Math.round(getResolution().width * getResolution().height * 0.000003)}MB
+          </p>
+        </div>
+      )}
+
+      {isAnimatedImage && (
+        <div className="bg-slate-800/30 rounded-lg p-3 text-xs text-gray-400">
+          <p className="font-medium mb-1">🎞️ Full animation cycle</p>
+          <p>Frames are rendered offline, so the animation plays smoothly regardless of device speed.</p>
+        </div>
+      )}
+
+      {format === 'webm' && (
+        <div className="bg-slate-800/30 rounded-lg p-3 text-xs text-gray-400">
+          <p className="font-medium mb-1">🎬 Recorded in real time</p>
+          <p>The preview plays while recording; the clip lasts one full animation cycle.</p>
+          {transparentBackground && (
+            <p className="mt-1">Transparency is kept where the browser encodes VP8/VP9 alpha (Chrome, Edge).</p>
+          )}
+        </div>
+      )}
     </div>
   )
 }
 
-export default ExportPanel
\ No newline at end of file
+export default ExportPanel
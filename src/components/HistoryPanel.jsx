@@ -0,0 +1,67 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+import { History, Undo2, Redo2 } from 'lucide-react'
+
+const formatTime = (time) => new Date(time).toLocaleTimeString(undefined, {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+})
+
+const HistoryPanel = ({ entries, index, canUndo, canRedo, onUndo, onRedo, onSelect }) => {
+  return (
+    <div className="glass-effect rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white flex items-center space-x-2">
+          <History className="w-5 h-5 text-purple-400" />
+          <span>History</span>
+        </h3>
+        <div className="flex space-x-2">
+          <motion.button
+            whileHover={{ scale: canUndo ? 1.05 : 1 }}
+            whileTap={{ scale: canUndo ? 0.95 : 1 }}
+            onClick={onUndo}
+            disabled={!canUndo}
+            className="p-2 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-all duration-200 disabled:opacity-40 disabled:hover:bg-slate-700"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="w-4 h-4" />
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: canRedo ? 1.05 : 1 }}
+            whileTap={{ scale: canRedo ? 0.95 : 1 }}
+            onClick={onRedo}
+            disabled={!canRedo}
+            className="p-2 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-all duration-200 disabled:opacity-40 disabled:hover:bg-slate-700"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="w-4 h-4" />
+          </motion.button>
+        </div>
+      </div>
+
+      {/* Newest first; entries after the current one can be redone */}
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {entries.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => (
+          <li key={`${i}-${entry.time}`}>
+            <button
+              onClick={() => onSelect(i)}
+              className={`w-full flex items-center justify-between px-3 py-1.5 rounded-lg text-sm transition-all duration-200 ${
+                i === index
+                  ? 'bg-purple-600 text-white'
+                  : i > index
+                    ? 'text-gray-500 hover:bg-slate-700/50'
+                    : 'text-gray-300 hover:bg-slate-700/50'
+              }`}
+            >
+              <span className="truncate">{entry.label}</span>
+              <span className="text-xs opacity-70 ml-2 flex-shrink-0">{formatTime(entry.time)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default HistoryPanel
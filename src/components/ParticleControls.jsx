@@ -0,0 +1,68 @@
+import React from 'react'
+import { getParticleSettings, particleEmitters, particleShapes } from '../utils/particleSystem'
+
+const sliderControls = [
+  { id: 'count', name: 'Count', min: 5, max: 300, step: 5, format: (v) => Math.round(v) },
+  { id: 'size', name: 'Size', min: 0.5, max: 8, step: 0.25, format: (v) => `${v.toFixed(2)}px` },
+  { id: 'speed', name: 'Speed', min: 0, max: 5, step: 0.1, format: (v) => `${v.toFixed(1)}x` },
+  { id: 'opacity', name: 'Opacity', min: 0.1, max: 1, step: 0.05, format: (v) => `${Math.round(v * 100)}%` },
+  { id: 'gravity', name: 'Gravity', min: -300, max: 300, step: 10, format: (v) => `${v}px/s²` },
+  { id: 'wind', name: 'Wind', min: -300, max: 300, step: 10, format: (v) => `${v}px/s²` }
+]
+
+const ParticleControls = ({ config, onChange }) => {
+  const settings = getParticleSettings(config)
+
+  const update = (setting, value) => {
+    onChange({ ...settings, [setting]: value })
+  }
+
+  const choiceGroups = [
+    { id: 'emitter', name: 'Emit From', registry: particleEmitters },
+    { id: 'shape', name: 'Shape', registry: particleShapes }
+  ]
+
+  return (
+    <div className="space-y-3">
+      {choiceGroups.map((group) => (
+        <div key={group.id}>
+          <label className="block text-xs text-gray-400 mb-1">{group.name}</label>
+          <div className="grid grid-cols-4 gap-2">
+            {Object.entries(group.registry).map(([id, { name }]) => (
+              <button
+                key={id}
+                onClick={() => update(group.id, id)}
+                className={`px-2 py-1.5 text-xs rounded-lg transition-colors ${
+                  settings[group.id] === id
+                    ? 'bg-purple-600 text-white'
+                    : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
+                }`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {sliderControls.map((control) => (
+        <div key={control.id}>
+          <label className="block text-xs text-gray-400 mb-1">
+            {control.name}: {control.format(settings[control.id])}
+          </label>
+          <input
+            type="range"
+            min={control.min}
+            max={control.max}
+            step={control.step}
+            value={settings[control.id]}
+            onChange={(e) => update(control.id, parseFloat(e.target.value))}
+            className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default ParticleControls
@@ -1,14 +1,29 @@
-import React from 'react'
+import React, { useRef } from 'react'
 import { motion } from 'framer-motion'
-import { Play, Pause, RotateCcw, Download, Loader } from 'lucide-react'
+import { Play, Pause, RotateCcw, Download, Loader, Save, FolderOpen, Link, Check } from 'lucide-react'
+import { PROJECT_EXTENSION } from '../utils/projectFile'
 
 const PreviewControls = ({
   isPlaying,
   onPlayPause,
   onReset,
   onExport,
+  onSaveProject,
+  onOpenProject,
+  projectError,
+  projectWarning,
+  onShare,
+  shareStatus,
   isAnimating
 }) => {
+  const fileInputRef = useRef(null)
+
+  const handleFileChange = (e) => {
+    onOpenProject(e.target.files?.[0])
+    // Clear so opening the same file again still fires a change
+    e.target.value = ''
+  }
+
   return (
     <div className="glass-effect rounded-xl p-6">
       <h3 className="text-lg font-semibold text-white mb-4 flex items-center space-x-2">
@@ -63,6 +78,67 @@ const PreviewControls = ({
           <span>Export Animation</span>
         </motion.button>
 
+        {/* Project File */}
+        <div className="flex space-x-3">
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={onSaveProject}
+            className="flex-1 flex items-center justify-center space-x-2 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-all duration-200"
+          >
+            <Save className="w-4 h-4" />
+            <span>Save Project</span>
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => fileInputRef.current?.click()}
+            className="flex-1 flex items-center justify-center space-x-2 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-all duration-200"
+          >
+            <FolderOpen className="w-4 h-4" />
+            <span>Open Project</span>
+          </motion.button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={`${PROJECT_EXTENSION},.json,application/json`}
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+
+        {projectError && (
+          <p className="text-xs text-red-400">{projectError}</p>
+        )}
+
+        {projectWarning && (
+          <p className="text-xs text-amber-300">{projectWarning}</p>
+        )}
+
+        {/* Share Link */}
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={onShare}
+          className="w-full flex items-center justify-center space-x-2 py-2 px-4 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-all duration-200"
+        >
+          {shareStatus === 'copied' ? (
+            <>
+              <Check className="w-4 h-4 text-green-400" />
+              <span>Link Copied</span>
+            </>
+          ) : (
+            <>
+              <Link className="w-4 h-4" />
+              <span>Copy Share Link</span>
+            </>
+          )}
+        </motion.button>
+
+        {shareStatus && shareStatus !== 'copied' && (
+          <p className="text-xs text-red-400">{shareStatus}</p>
+        )}
+
         {/* Status Indicator */}
         <div className="flex items-center justify-between text-sm">
           <div className="flex items-center space-x-2">
@@ -91,7 +167,9 @@ const PreviewControls = ({
           <ul className="space-y-1">
             <li>• Press Play to preview your animation</li>
             <li>• Reset to start from the beginning</li>
-            <li>• Export in multiple formats (GIF, PNG, MP4)</li>
+            <li>• Export in multiple formats (PNG, GIF, WebM)</li>
+            <li>• Save a project to pick up the design later</li>
+            <li>• Share a link to send the design to someone else</li>
           </ul>
         </div>
       </div>
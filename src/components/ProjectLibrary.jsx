@@ -0,0 +1,133 @@
+import React, { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Library, Pencil, Copy, Trash2, Check, X } from 'lucide-react'
+import { getProjectName } from '../utils/projectStore'
+
+const formatTime = (time) => new Date(time).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+const ProjectLibrary = ({
+  projects,
+  currentId,
+  lastSaved,
+  error,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onDelete
+}) => {
+  const [editingId, setEditingId] = useState(null)
+  const [nameInput, setNameInput] = useState('')
+
+  const startRename = (project) => {
+    setEditingId(project.id)
+    setNameInput(getProjectName(project))
+  }
+
+  const handleRenameSubmit = (e) => {
+    e.preventDefault()
+    onRename(editingId, nameInput)
+    setEditingId(null)
+  }
+
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete "${getProjectName(project)}"? This can't be undone.`)) {
+      onDelete(project.id)
+    }
+  }
+
+  return (
+    <div className="glass-effect rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white flex items-center space-x-2">
+          <Library className="w-5 h-5 text-purple-400" />
+          <span>Projects</span>
+        </h3>
+        <span className="text-xs text-gray-400">
+          {lastSaved ? `Autosaved ${formatTime(lastSaved)}` : 'Autosave on'}
+        </span>
+      </div>
+
+      {error && (
+        <p className="text-xs text-red-400 mb-3">Project library: {error}</p>
+      )}
+
+      {projects.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          Your designs are saved here automatically as you work.
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-72 overflow-y-auto">
+          <AnimatePresence initial={false}>
+            {projects.map((project) => (
+              <motion.li
+                key={project.id}
+                layout
+                initial={{ opacity: 0, y: -5 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, height: 0 }}
+                className={`flex items-center space-x-3 p-2 rounded-lg transition-all duration-200 ${
+                  project.id === currentId
+                    ? 'bg-purple-600/30 ring-1 ring-purple-500/50'
+                    : 'bg-slate-700/50 hover:bg-slate-600/50'
+                }`}
+              >
+                <button
+                  onClick={() => onOpen(project.id)}
+                  className="flex-shrink-0 w-16 h-10 rounded overflow-hidden bg-slate-800"
+                  title="Open project"
+                >
+                  {project.thumbnail && (
+                    <img src={project.thumbnail} alt="" className="w-full h-full object-cover" />
+                  )}
+                </button>
+
+                {editingId === project.id ? (
+                  <form onSubmit={handleRenameSubmit} className="flex-1 min-w-0 flex items-center space-x-1">
+                    <input
+                      type="text"
+                      value={nameInput}
+                      onChange={(e) => setNameInput(e.target.value)}
+                      autoFocus
+                      className="flex-1 min-w-0 px-2 py-1 bg-slate-800/80 text-white text-sm rounded outline-none focus:ring-2 focus:ring-purple-500/40"
+                    />
+                    <button type="submit" className="p-1 text-green-400 hover:text-green-300" title="Save name">
+                      <Check className="w-4 h-4" />
+                    </button>
+                    <button type="button" onClick={() => setEditingId(null)} className="p-1 text-gray-400 hover:text-white" title="Cancel">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <button onClick={() => onOpen(project.id)} className="flex-1 min-w-0 text-left">
+                      <div className="text-sm text-white truncate">{getProjectName(project)}</div>
+                      <div className="text-xs text-gray-400">{formatTime(project.updatedAt)}</div>
+                    </button>
+                    <div className="flex items-center">
+                      <button onClick={() => startRename(project)} className="p-1 text-gray-400 hover:text-white" title="Rename">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => onDuplicate(project.id)} className="p-1 text-gray-400 hover:text-white" title="Duplicate">
+                        <Copy className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleDelete(project)} className="p-1 text-gray-400 hover:text-red-400" title="Delete">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </>
+                )}
+              </motion.li>
+            ))}
+          </AnimatePresence>
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ProjectLibrary
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { Type, Sparkles } from 'lucide-react'
 
+const MAX_LENGTH = 280
+
 const TextInput = ({ text, onChange, placeholder }) => {
   const [localText, setLocalText] = useState(text)
   const [isFocused, setIsFocused] = useState(false)
@@ -50,15 +52,15 @@ const TextInput = ({ text, onChange, placeholder }) => {
           transition={{ duration: 0.2 }}
           className="relative rounded-lg overflow-hidden"
         >
-          <input
-            type="text"
+          <textarea
             value={localText}
             onChange={handleChange}
             onFocus={() => setIsFocused(true)}
             onBlur={() => setIsFocused(false)}
             placeholder={placeholder}
-            className="w-full px-4 py-3 bg-slate-800/80 text-white placeholder-gray-400 border-0 outline-none text-lg font-medium"
-            maxLength={50}
+            rows={3}
+            className="w-full px-4 py-3 pb-7 bg-slate-800/80 text-white placeholder-gray-400 border-0 outline-none text-lg font-medium resize-y block"
+            maxLength={MAX_LENGTH}
           />
           <div className="absolute inset-0 pointer-events-none">
             <div className="absolute inset-0 bg-gradient-to-r from-purple-500/20 to-blue-500/20 opacity-0 transition-opacity duration-300 group-focus-within:opacity-100"></div>
@@ -66,8 +68,8 @@ const TextInput = ({ text, onChange, placeholder }) => {
         </motion.div>
 
         {localText && (
-          <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-            <span className="text-sm text-gray-400">{localText.length}/50</span>
+          <div className="absolute right-3 bottom-2 pointer-events-none">
+            <span className="text-sm text-gray-400">{localText.length}/{MAX_LENGTH}</span>
           </div>
         )}
       </div>
@@ -99,6 +101,7 @@ const TextInput = ({ text, onChange, placeholder }) => {
         <ul className="space-y-1">
           <li>• Keep text concise for best animation effects</li>
           <li>• Single words work great for dynamic animations</li>
+          <li>• Press Enter for a new line; long lines wrap automatically</li>
           <li>• Special characters and emojis are supported</li>
         </ul>
       </div>
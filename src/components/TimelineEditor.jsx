@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react'
+import { Film, Plus, Trash2, Repeat } from 'lucide-react'
+import {
+  DEFAULT_TRACK,
+  createDefaultTimeline,
+  createKeyframe,
+  evaluateKeyframes,
+  segmentEasings,
+  sortKeyframes
+} from '../utils/animations'
+
+const MIN_DURATION = 200
+const MAX_DURATION = 10000
+
+const propertyControls = [
+  { id: 'x', name: 'X', min: -100, max: 100, step: 1, unit: 'px' },
+  { id: 'y', name: 'Y', min: -100, max: 100, step: 1, unit: 'px' },
+  { id: 'scale', name: 'Scale', min: 0, max: 3, step: 0.05, unit: 'x' },
+  { id: 'rotation', name: 'Rotation', min: -360, max: 360, step: 5, unit: '°' },
+  { id: 'opacity', name: 'Opacity', min: 0, max: 1, step: 0.05, unit: '' }
+]
+
+const easingNames = {
+  linear: 'Linear',
+  easeIn: 'Ease In',
+  easeOut: 'Ease Out',
+  easeInOut: 'Ease In-Out',
+  elastic: 'Elastic',
+  bounce: 'Bounce'
+}
+
+const TimelineEditor = ({ timeline: timelineProp, active, onActivate, onChange }) => {
+  const timeline = timelineProp || createDefaultTimeline()
+  const [trackId, setTrackId] = useState(DEFAULT_TRACK)
+  const [selected, setSelected] = useState(0)
+  const [unitInput, setUnitInput] = useState('')
+  // What's typed in the Time and Length fields, applied on blur or Enter so
+  // half-typed numbers aren't clamped; null when not being edited
+  const [timeInput, setTimeInput] = useState(null)
+  const [durationInput, setDurationInput] = useState(null)
+
+  const track = timeline.tracks[trackId] || timeline.tracks[DEFAULT_TRACK]
+  const keyframe = track[Math.min(selected, track.length - 1)]
+
+  // Fall back to the default track if the selected one was removed elsewhere
+  useEffect(() => {
+    if (!timeline.tracks[trackId]) setTrackId(DEFAULT_TRACK)
+  }, [timeline, trackId])
+
+  // `select` is a keyframe object in `keyframes`; found by identity since
+  // keyframes can share a time
+  const updateTrack = (keyframes, select) => {
+    const sorted = sortKeyframes(keyframes)
+    onChange({ ...timeline, tracks: { ...timeline.tracks, [trackId]: sorted } })
+    if (select !== undefined) {
+      setSelected(sorted.indexOf(select))
+    }
+  }
+
+  const updateKeyframe = (changes) => {
+    const updated = { ...keyframe, ...changes }
+    updateTrack(track.map(k => (k === keyframe ? updated : k)), updated)
+  }
+
+  const handleBarClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const time = Math.round(((e.clientX - rect.left) / rect.width) * timeline.duration)
+    if (track.some(k => k.time === time)) return
+
+    // New keyframes start from the current motion so nothing jumps
+    const values = evaluateKeyframes(track, time)
+    Object.keys(values).forEach((property) => {
+      values[property] = Math.round(values[property] * 100) / 100
+    })
+    const created = createKeyframe(time, values)
+    updateTrack([...track, created], created)
+  }
+
+  const handleDeleteKeyframe = () => {
+    if (track.length <= 1) return
+    updateTrack(track.filter(k => k !== keyframe))
+    setSelected(Math.max(0, selected - 1))
+  }
+
+  const handleAddTrack = (e) => {
+    e.preventDefault()
+    const unit = parseInt(unitInput, 10)
+    if (!Number.isInteger(unit) || unit < 1) return
+
+    // Tracks are keyed by zero-based unit index; the UI counts from 1
+    const id = String(unit - 1)
+    if (!timeline.tracks[id]) {
+      onChange({
+        ...timeline,
+        tracks: { ...timeline.tracks, [id]: timeline.tracks[DEFAULT_TRACK].map(k => ({ ...k })) }
+      })
+    }
+    setTrackId(id)
+    setSelected(0)
+    setUnitInput('')
+  }
+
+  const handleDeleteTrack = () => {
+    if (trackId === DEFAULT_TRACK) return
+    const tracks = { ...timeline.tracks }
+    delete tracks[trackId]
+    onChange({ ...timeline, tracks })
+    setTrackId(DEFAULT_TRACK)
+    setSelected(0)
+  }
+
+  const commitTime = () => {
+    if (timeInput === null) return
+    const time = parseInt(timeInput, 10)
+    setTimeInput(null)
+    if (!Number.isFinite(time)) return
+    const clamped = Math.max(0, Math.min(timeline.duration, time))
+    if (clamped !== keyframe.time) updateKeyframe({ time: clamped })
+  }
+
+  const commitDuration = () => {
+    if (durationInput === null) return
+    const value = parseInt(durationInput, 10)
+    setDurationInput(null)
+    if (!Number.isFinite(value)) return
+    const duration = Math.max(MIN_DURATION, Math.min(MAX_DURATION, value))
+    if (duration !== timeline.duration) onChange({ ...timeline, duration })
+  }
+
+  const blurOnEnter = (e) => {
+    if (e.key === 'Enter') e.currentTarget.blur()
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between p-3 bg-slate-700/30 rounded-lg">
+        <div>
+          <div className="font-medium text-white flex items-center space-x-2">
+            <Film className="w-4 h-4 text-purple-400" />
+            <span>Custom Timeline</span>
+          </div>
+          <div className="text-xs text-gray-400">Keyframed motion for every letter, word or line</div>
+        </div>
+        <button
+          onClick={onActivate}
+          disabled={active}
+          className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+            active ? 'bg-purple-600 text-white' : 'bg-slate-700 hover:bg-slate-600 text-white'
+          }`}
+        >
+          {active ? 'In Use' : 'Use'}
+        </button>
+      </div>
+
+      {/* Tracks */}
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">Track</label>
+        <div className="flex flex-wrap gap-2">
+          {Object.keys(timeline.tracks).map((id) => (
+            <button
+              key={id}
+              onClick={() => { setTrackId(id); setSelected(0) }}
+              className={`px-3 py-1 text-sm rounded-full transition-colors ${
+                trackId === id
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-slate-700/50 text-gray-300 hover:bg-slate-600/50'
+              }`}
+            >
+              {id === DEFAULT_TRACK ? 'All units' : `Unit ${Number(id) + 1}`}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleAddTrack} className="flex items-center space-x-2 mt-2">
+          <input
+            type="number"
+            min="1"
+            value={unitInput}
+            onChange={(e) => setUnitInput(e.target.value)}
+            placeholder="Unit #"
+            className="w-24 px-3 py-1.5 bg-slate-800/80 text-white text-sm placeholder-gray-500 rounded-lg outline-none focus:ring-2 focus:ring-purple-500/40"
+          />
+          <button
+            type="submit"
+            className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Track</span>
+          </button>
+          {trackId !== DEFAULT_TRACK && (
+            <button
+              type="button"
+              onClick={handleDeleteTrack}
+              className="p-1.5 text-gray-400 hover:text-red-400 transition-colors"
+              title="Remove track"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </form>
+      </div>
+
+      {/* Keyframe bar: click empty space to add a keyframe */}
+      <div>
+        <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+          <span>0 ms</span>
+          <span>Click the bar to add a keyframe</span>
+          <span>{timeline.duration} ms</span>
+        </div>
+        <div
+          onClick={handleBarClick}
+          className="relative h-8 bg-slate-800/80 rounded-lg cursor-crosshair"
+        >
+          {track.map((k, i) => (
+            <button
+              key={`${k.time}-${i}`}
+              onClick={(e) => { e.stopPropagation(); setSelected(i) }}
+              className={`absolute top-1/2 w-3 h-3 -ml-1.5 -mt-1.5 rotate-45 transition-colors ${
+                k === keyframe ? 'bg-purple-400' : 'bg-gray-400 hover:bg-white'
+              }`}
+              style={{ left: `${Math.min(100, (k.time / timeline.duration) * 100)}%` }}
+              title={`${k.time} ms`}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Selected keyframe */}
+      {keyframe && (
+        <div className="space-y-3 p-3 bg-slate-700/30 rounded-lg">
+          <div className="flex items-center space-x-2">
+            <label className="text-sm text-gray-300">Time</label>
+            <input
+              type="number"
+              min="0"
+              max={timeline.duration}
+              step="50"
+              value={timeInput ?? keyframe.time}
+              onChange={(e) => setTimeInput(e.target.value)}
+              onBlur={commitTime}
+              onKeyDown={blurOnEnter}
+              className="w-24 px-2 py-1 bg-slate-800/80 text-white text-sm rounded-md outline-none"
+            />
+            <span className="text-xs text-gray-400">ms</span>
+            <button
+              onClick={handleDeleteKeyframe}
+              disabled={track.length <= 1}
+              className="ml-auto p-1.5 text-gray-400 hover:text-red-400 disabled:opacity-40 transition-colors"
+              title="Delete keyframe"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          {propertyControls.map((control) => (
+            <div key={control.id}>
+              <label className="block text-xs text-gray-400 mb-1">
+                {control.name}: {keyframe[control.id]}{control.unit}
+              </label>
+              <input
+                type="range"
+                min={control.min}
+                max={control.max}
+                step={control.step}
+                value={keyframe[control.id]}
+                onChange={(e) => updateKeyframe({ [control.id]: parseFloat(e.target.value) })}
+                className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer slider"
+              />
+            </div>
+          ))}
+
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Easing to next keyframe</label>
+            <select
+              value={keyframe.easing}
+              onChange={(e) => updateKeyframe({ easing: e.target.value })}
+              className="w-full px-2 py-1.5 bg-slate-800/80 text-white text-sm rounded-md outline-none"
+            >
+              {Object.keys(segmentEasings).map((easing) => (
+                <option key={easing} value={easing}>{easingNames[easing] || easing}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {/* Timing */}
+      <div className="flex items-center space-x-3">
+        <label className="text-sm text-gray-300">Length</label>
+        <input
+          type="number"
+          min={MIN_DURATION}
+          max={MAX_DURATION}
+          step="100"
+          value={durationInput ?? timeline.duration}
+          onChange={(e) => setDurationInput(e.target.value)}
+          onBlur={commitDuration}
+          onKeyDown={blurOnEnter}
+          className="w-24 px-2 py-1 bg-slate-800/80 text-white text-sm rounded-md outline-none"
+        />
+        <span className="text-xs text-gray-400">ms</span>
+        <button
+          onClick={() => onChange({ ...timeline, loop: timeline.loop === false })}
+          className={`ml-auto flex items-center space-x-1 px-3 py-1 text-sm rounded-lg transition-colors ${
+            timeline.loop !== false ? 'bg-purple-600 text-white' : 'bg-slate-700 text-gray-300'
+          }`}
+        >
+          <Repeat className="w-4 h-4" />
+          <span>Loop</span>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default TimelineEditor
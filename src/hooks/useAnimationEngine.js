@@ -1,8 +1,11 @@
 import { useState, useCallback, useRef } from 'react'
 import { generateRandomConfig } from '../utils/animationConfig'
+import { sanitizeConfig } from '../utils/configSchema'
 
 export const useAnimationEngine = () => {
-  const [config, setConfig] = useState(() => generateRandomConfig())
+  // Generated designs are repaired like every other config entering the app
+  // (see App.jsx and projectFile.js)
+  const [config, setConfig] = useState(() => sanitizeConfig(generateRandomConfig()).config)
   const [isAnimating, setIsAnimating] = useState(false)
   const animationIdRef = useRef(null)
 
@@ -10,8 +13,8 @@ export const useAnimationEngine = () => {
     setConfig(newConfig)
   }, [])
 
-  const regenerateConfig = useCallback(() => {
-    const newConfig = generateRandomConfig()
+  const regenerateConfig = useCallback((seed) => {
+    const { config: newConfig } = sanitizeConfig(generateRandomConfig(seed))
     setConfig(newConfig)
   }, [])
 
@@ -1,34 +1,40 @@
 import { useState, useCallback, useRef } from 'react'
 import { canvasExportSystem } from '../utils/canvasExportSystem'
+import { getRestingTime, prepareRenderer, renderFrame } from '../utils/frameRenderer'
+import { getAnimationDuration } from '../utils/animationConfig'
+import { downloadFile } from '../utils/download'
 import logger from '../utils/logger'
 
-export const useExport = (canvasRef) => {
+export const useExport = (canvasRef, text, config) => {
   const [isExporting, setIsExporting] = useState(false)
   const [exportProgress, setExportProgress] = useState(0)
+  const [exportError, setExportError] = useState(null)
   const exportSessionRef = useRef(null)
 
-  const downloadFile = (blob, filename) => {
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = filename
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
-  }
-
   const createProgressHandler = (format) => {
     return (progress) => {
-      setExportProgress(Math.min(Math.max(progress, 0), 100))
+      setExportProgress(Math.round(Math.min(Math.max(progress, 0), 100)))
+    }
+  }
+
+  // Scene size for an output of width x height: keeps the preview's height so
+  // text is laid out at the same relative scale, widened to the output's aspect
+  const getSceneSize = (canvas, width, height) => {
+    const rect = canvas.getBoundingClientRect()
+    const sceneHeight = rect.height || canvas.height
+    return {
+      sceneWidth: sceneHeight * width / height,
+      sceneHeight
     }
   }
 
+  // Failures are shown in the export panel rather than rethrown, since the
+  // export buttons don't await these
   const handleExportError = (error, format) => {
     logger.error(`${format.toUpperCase()} export failed:`, error)
     setIsExporting(false)
     setExportProgress(0)
-    throw error
+    setExportError(error.message)
   }
 
   const exportPNG = useCallback(async (options = {}) => {
@@ -42,6 +48,7 @@ export const useExport = (canvasRef) => {
 
     setIsExporting(true)
     setExportProgress(0)
+    setExportError(null)
 
     try {
       logger.info(`Starting PNG export (session: ${sessionId})`)
@@ -49,10 +56,29 @@ export const useExport = (canvasRef) => {
       const progressHandler = createProgressHandler('png')
       progressHandler(10)
 
-      const result = await canvasExportSystem.exportPNG(canvasRef.current, {
-        quality: options.quality || 1.0,
-        ...options
-      })
+      let result
+      if (options.resolution) {
+        // Re-render offscreen so the file has exactly the requested pixel size
+        const { width, height } = options.resolution
+        const canvas = await canvasExportSystem.resolveCanvasWithValidation(canvasRef.current)
+        const { sceneWidth, sceneHeight } = getSceneSize(canvas, width, height)
+        const timeMs = canvasRef.current.getAnimationTime?.() ?? getRestingTime(text, config)
+        await prepareRenderer(config)
+
+        result = await canvasExportSystem.exportPNGAtResolution(
+          (ctx) => renderFrame(ctx, text, config, timeMs, sceneWidth, sceneHeight),
+          {
+            quality: options.quality || 1.0,
+            width,
+            height
+          }
+        )
+      } else {
+        result = await canvasExportSystem.exportPNG(canvasRef.current, {
+          quality: options.quality || 1.0,
+          ...options
+        })
+      }
 
       progressHandler(100)
 
@@ -69,11 +95,168 @@ export const useExport = (canvasRef) => {
       setExportProgress(0)
       exportSessionRef.current = null
     }
-  }, [canvasRef])
+  }, [canvasRef, text, config])
+
+  const exportGIF = useCallback(async (options = {}) => {
+    if (!canvasRef.current) {
+      logger.error('Canvas reference is null')
+      return
+    }
+
+    const sessionId = Math.random().toString(36).substr(2, 9)
+    exportSessionRef.current = sessionId
+
+    setIsExporting(true)
+    setExportProgress(0)
+    setExportError(null)
+
+    try {
+      logger.info(`Starting GIF export (session: ${sessionId})`)
+
+      // Render in the preview's coordinate space so the layout matches what is on screen
+      const canvas = await canvasExportSystem.resolveCanvasWithValidation(canvasRef.current)
+      const rect = canvas.getBoundingClientRect()
+      const sceneWidth = rect.width || canvas.width
+      const sceneHeight = rect.height || canvas.height
+
+      const width = Math.round(options.width || sceneWidth)
+      const height = Math.round(width * sceneHeight / sceneWidth)
+
+      // GIF has no alpha channel, so transparent designs keep their background
+      const gifConfig = { ...config, colors: { ...config.colors, transparentBackground: false } }
+      await prepareRenderer(gifConfig)
+      // Start the cycle with the text on screen so the first frame isn't blank
+      const startMs = getRestingTime(text, config)
+      const drawFrame = (ctx, timeMs) => renderFrame(ctx, text, gifConfig, startMs + timeMs, sceneWidth, sceneHeight)
+
+      const result = await canvasExportSystem.exportGIF(drawFrame, {
+        width,
+        height,
+        duration: options.duration || getAnimationDuration(text, config),
+        fps: options.fps,
+        repeat: options.repeat,
+        dither: options.dither,
+        quality: options.quality,
+        onProgress: createProgressHandler('gif')
+      })
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const filename = `namelistica-${timestamp}.gif`
+      downloadFile(result.blob, filename)
+
+      logger.info(`GIF export completed: ${filename} (${result.frames} frames, ${result.size} bytes, ${result.duration.toFixed(2)}ms)`)
+
+    } catch (error) {
+      handleExportError(error, 'gif')
+    } finally {
+      setIsExporting(false)
+      setExportProgress(0)
+      exportSessionRef.current = null
+    }
+  }, [canvasRef, text, config])
+
+  const exportAPNG = useCallback(async (options = {}) => {
+    if (!canvasRef.current) {
+      logger.error('Canvas reference is null')
+      return
+    }
+
+    const sessionId = Math.random().toString(36).substr(2, 9)
+    exportSessionRef.current = sessionId
+
+    setIsExporting(true)
+    setExportProgress(0)
+    setExportError(null)
+
+    try {
+      logger.info(`Starting APNG export (session: ${sessionId})`)
+
+      const canvas = await canvasExportSystem.resolveCanvasWithValidation(canvasRef.current)
+      const rect = canvas.getBoundingClientRect()
+      const sceneWidth = rect.width || canvas.width
+      const sceneHeight = rect.height || canvas.height
+
+      const width = Math.round(options.width || sceneWidth)
+      const height = Math.round(width * sceneHeight / sceneWidth)
+
+      await prepareRenderer(config)
+      // Frame 0 is what viewers without APNG support show, so it has the text
+      const startMs = getRestingTime(text, config)
+      const drawFrame = (ctx, timeMs) => renderFrame(ctx, text, config, startMs + timeMs, sceneWidth, sceneHeight)
+
+      const result = await canvasExportSystem.exportAPNG(drawFrame, {
+        width,
+        height,
+        duration: options.duration || getAnimationDuration(text, config),
+        fps: options.fps,
+        repeat: options.repeat,
+        onProgress: createProgressHandler('apng')
+      })
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const filename = `namelistica-${timestamp}.png`
+      downloadFile(result.blob, filename)
+
+      logger.info(`APNG export completed: ${filename} (${result.frames} frames, ${result.size} bytes, ${result.duration.toFixed(2)}ms)`)
+
+    } catch (error) {
+      handleExportError(error, 'apng')
+    } finally {
+      setIsExporting(false)
+      setExportProgress(0)
+      exportSessionRef.current = null
+    }
+  }, [canvasRef, text, config])
+
+  const exportWebM = useCallback(async (options = {}) => {
+    if (!canvasRef.current) {
+      logger.error('Canvas reference is null')
+      return null
+    }
+
+    const sessionId = Math.random().toString(36).substr(2, 9)
+    exportSessionRef.current = sessionId
+
+    setIsExporting(true)
+    setExportProgress(0)
+    setExportError(null)
+
+    try {
+      logger.info(`Starting WebM export (session: ${sessionId})`)
+
+      const result = await canvasExportSystem.exportWebM(canvasRef.current, {
+        duration: options.duration || getAnimationDuration(text, config),
+        quality: options.quality || 'medium',
+        fps: options.fps,
+        onProgress: createProgressHandler('webm'),
+        // Restart the preview and record from its first frame so the clip loops
+        waitForStart: canvasRef.current.restartAnimation
+      })
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const filename = `namelistica-${timestamp}.webm`
+      downloadFile(result.blob, filename)
+
+      logger.info(`WebM export completed: ${filename} (${result.mimeType}, ${result.size} bytes, ${result.duration.toFixed(2)}ms)`)
+
+      return result.blob
+
+    } catch (error) {
+      handleExportError(error, 'webm')
+    } finally {
+      setIsExporting(false)
+      setExportProgress(0)
+      exportSessionRef.current = null
+    }
+  }, [canvasRef, text, config])
 
   return {
     exportPNG,
+    exportGIF,
+    exportAPNG,
+    exportWebM,
     isExporting,
-    exportProgress
+    exportProgress,
+    exportError
   }
 }
\ No newline at end of file
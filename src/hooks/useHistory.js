@@ -0,0 +1,49 @@
+import { useState, useCallback, useRef } from 'react'
+import { canRedo, canUndo, createHistory, moveHistory, pushHistory } from '../utils/history'
+
+/**
+ * Undo/redo stack of { text, config } states. `record` adds the state a change
+ * produced; `undo`, `redo` and `goTo` move through the stack and return the
+ * state to apply, or null when there is nowhere to go. `reset` starts a fresh
+ * stack at `state`, e.g. when a different project is opened.
+ */
+export const useHistory = (initialState) => {
+  const [history, setHistory] = useState(() => createHistory(initialState))
+  // Read synchronously so several moves in one event see each other
+  const historyRef = useRef(history)
+
+  const update = useCallback((next) => {
+    historyRef.current = next
+    setHistory(next)
+    return next
+  }, [])
+
+  const record = useCallback((state, label) => {
+    update(pushHistory(historyRef.current, state, label))
+  }, [update])
+
+  const reset = useCallback((state, label) => {
+    update(createHistory(state, label))
+  }, [update])
+
+  const goTo = useCallback((index) => {
+    const current = historyRef.current
+    if (index === current.index || index < 0 || index >= current.entries.length) return null
+    return update(moveHistory(current, index)).entries[index].state
+  }, [update])
+
+  const undo = useCallback(() => goTo(historyRef.current.index - 1), [goTo])
+  const redo = useCallback(() => goTo(historyRef.current.index + 1), [goTo])
+
+  return {
+    entries: history.entries,
+    index: history.index,
+    canUndo: canUndo(history),
+    canRedo: canRedo(history),
+    record,
+    reset,
+    undo,
+    redo,
+    goTo
+  }
+}
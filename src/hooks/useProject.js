@@ -0,0 +1,50 @@
+import { useState, useCallback } from 'react'
+import { createProject, getProjectFilename, parseProject, serializeProject } from '../utils/projectFile'
+import { formatConfigErrors } from '../utils/configSchema'
+import { downloadFile } from '../utils/download'
+import logger from '../utils/logger'
+
+/**
+ * Save the current text and config as a project file, and open project
+ * files back into the app through `onOpen({ text, config, seed, canvas })`.
+ * Settings a file had to have repaired are reported in `projectWarning`.
+ */
+export const useProject = (canvasRef, text, config, onOpen) => {
+  const [projectError, setProjectError] = useState(null)
+  const [projectWarning, setProjectWarning] = useState(null)
+
+  const saveProject = useCallback(() => {
+    const canvas = canvasRef.current?.canvas?.getBoundingClientRect?.() || null
+    const project = createProject(text, config, canvas)
+    const filename = getProjectFilename(text)
+    downloadFile(new Blob([serializeProject(project)], { type: 'application/json' }), filename)
+    setProjectError(null)
+    setProjectWarning(null)
+    logger.info(`Project saved: ${filename}`)
+  }, [canvasRef, text, config])
+
+  const openProject = useCallback(async (file) => {
+    if (!file) return
+    try {
+      const project = parseProject(await file.text())
+      onOpen(project)
+      setProjectError(null)
+      setProjectWarning(project.errors.length
+        ? `${file.name}: repaired ${formatConfigErrors(project.errors)}`
+        : null)
+      logger.info(`Project opened: ${file.name}`)
+      if (project.errors.length) logger.warn('Repaired project settings:', project.errors)
+    } catch (error) {
+      logger.error('Failed to open project:', error)
+      setProjectError(`${file.name}: ${error.message}`)
+      setProjectWarning(null)
+    }
+  }, [onOpen])
+
+  return {
+    saveProject,
+    openProject,
+    projectError,
+    projectWarning
+  }
+}
@@ -0,0 +1,252 @@
+import { useState, useCallback, useEffect, useRef } from 'react'
+import { createProject, readProject } from '../utils/projectFile'
+import { createProjectId, deleteProject, getProject, getProjectName, listProjects, putProject } from '../utils/projectStore'
+import logger from '../utils/logger'
+
+const AUTOSAVE_INTERVAL_MS = 5000
+const THUMBNAIL_WIDTH = 160
+// Which stored project the last session was working on
+const LAST_PROJECT_KEY = 'namelistica:lastProject'
+
+const getLastProjectId = () => {
+  try {
+    return localStorage.getItem(LAST_PROJECT_KEY)
+  } catch (error) {
+    return null
+  }
+}
+
+const setLastProjectId = (id) => {
+  try {
+    if (id) localStorage.setItem(LAST_PROJECT_KEY, id)
+    else localStorage.removeItem(LAST_PROJECT_KEY)
+  } catch (error) {
+    // Restoring falls back to the most recently updated project
+  }
+}
+
+const captureThumbnail = (canvas) => {
+  if (!canvas?.width || !canvas?.height) return null
+  try {
+    const thumbnail = document.createElement('canvas')
+    thumbnail.width = THUMBNAIL_WIDTH
+    thumbnail.height = Math.round(THUMBNAIL_WIDTH * canvas.height / canvas.width)
+    thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height)
+    return thumbnail.toDataURL('image/png')
+  } catch (error) {
+    logger.warn('Could not capture project thumbnail:', error)
+    return null
+  }
+}
+
+/**
+ * Local project library: autosaves the current text and config every few
+ * seconds (and when the tab is hidden), restores the project the last
+ * session was working on (unless `restore` is false, e.g. when opening a
+ * share link), and opens, renames, duplicates and deletes stored projects.
+ * Opened projects are handed to `onOpen({ text, config, seed, canvas })`.
+ */
+export const useProjectLibrary = (canvasRef, text, config, onOpen, { restore = true } = {}) => {
+  const [projects, setProjects] = useState([])
+  const [currentId, setCurrentId] = useState(null)
+  const [lastSaved, setLastSaved] = useState(null)
+  const [libraryError, setLibraryError] = useState(null)
+
+  // Autosave reads these from the interval, so they're kept in refs
+  const stateRef = useRef({ text, config })
+  const onOpenRef = useRef(onOpen)
+  const currentIdRef = useRef(null)
+  const savedStateRef = useRef(null)
+  const restoredRef = useRef(false)
+  const pendingSaveRef = useRef(Promise.resolve())
+  // Only the first render's `restore` matters
+  const restoreRef = useRef(restore)
+
+  stateRef.current = { text, config }
+  onOpenRef.current = onOpen
+
+  const selectProject = useCallback((id) => {
+    currentIdRef.current = id
+    setCurrentId(id)
+    setLastProjectId(id)
+  }, [])
+
+  const reportError = useCallback((message, error) => {
+    logger.error(message, error)
+    setLibraryError(error.message)
+  }, [])
+
+  const refresh = useCallback(async () => {
+    setProjects(await listProjects())
+  }, [])
+
+  const saveNow = useCallback(async () => {
+    if (!restoredRef.current) return
+    const { text, config } = stateRef.current
+    const state = JSON.stringify([text, config])
+    if (state === savedStateRef.current) return
+
+    try {
+      const now = Date.now()
+      const currentId = currentIdRef.current
+      const id = currentId || createProjectId()
+      const existing = currentId ? await getProject(id) : null
+      // Opened, detached or deleted another project while reading
+      if (currentIdRef.current !== currentId) return
+      const canvas = canvasRef.current?.canvas
+      await putProject({
+        id,
+        name: existing?.name ?? null,
+        project: createProject(text, config, canvas?.getBoundingClientRect()),
+        thumbnail: captureThumbnail(canvas) || existing?.thumbnail || null,
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now
+      })
+      if (currentIdRef.current === currentId) {
+        savedStateRef.current = state
+        selectProject(id)
+      }
+      setLastSaved(now)
+      setLibraryError(null)
+      await refresh()
+    } catch (error) {
+      reportError('Autosave failed:', error)
+    }
+  }, [canvasRef, refresh, selectProject, reportError])
+
+  // Saves run one at a time, so a slow one can't be overtaken by the next
+  // interval tick and write a second record for the same new project
+  const save = useCallback(() => {
+    pendingSaveRef.current = pendingSaveRef.current.then(saveNow)
+    return pendingSaveRef.current
+  }, [saveNow])
+
+  const load = useCallback((record) => {
+    const project = readProject(record.project)
+    if (project.errors.length) logger.warn(`Repaired settings in stored project ${record.id}:`, project.errors)
+    // Already saved as-is, so opening it shouldn't count as a change
+    savedStateRef.current = JSON.stringify([project.text, project.config])
+    selectProject(record.id)
+    onOpenRef.current(project)
+  }, [selectProject])
+
+  // Restore the last session once, on startup
+  useEffect(() => {
+    let cancelled = false
+    listProjects()
+      .then((records) => {
+        if (cancelled) return
+        setProjects(records)
+        if (!restoreRef.current) return
+        const lastId = getLastProjectId()
+        const record = records.find(r => r.id === lastId) || records[0]
+        if (record) {
+          try {
+            load(record)
+          } catch (error) {
+            reportError('Could not restore last project:', error)
+          }
+        }
+      })
+      .catch((error) => {
+        logger.warn('Project library unavailable:', error)
+        if (!cancelled) setLibraryError(error.message)
+      })
+      .finally(() => {
+        if (!cancelled) restoredRef.current = true
+      })
+    return () => { cancelled = true }
+  }, [load, reportError])
+
+  useEffect(() => {
+    const interval = setInterval(save, AUTOSAVE_INTERVAL_MS)
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') save()
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => {
+      clearInterval(interval)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [save])
+
+  const openProject = useCallback(async (id) => {
+    if (id === currentIdRef.current) return
+    try {
+      // Keep the outgoing design's latest changes before switching
+      await save()
+      const record = await getProject(id)
+      if (record) load(record)
+    } catch (error) {
+      reportError('Failed to open project:', error)
+    }
+  }, [save, load, reportError])
+
+  /**
+   * Detach from the stored project so the next autosave starts a new one,
+   * e.g. after opening a project file
+   */
+  const startNewProject = useCallback(() => {
+    selectProject(null)
+    savedStateRef.current = null
+  }, [selectProject])
+
+  const renameProject = useCallback(async (id, name) => {
+    try {
+      const record = await getProject(id)
+      if (!record) return
+      await putProject({ ...record, name: name.trim() || null })
+      await refresh()
+    } catch (error) {
+      reportError('Failed to rename project:', error)
+    }
+  }, [refresh, reportError])
+
+  const duplicateProject = useCallback(async (id) => {
+    try {
+      const record = await getProject(id)
+      if (!record) return
+      const now = Date.now()
+      await putProject({
+        ...record,
+        id: createProjectId(),
+        name: `${getProjectName(record)} (copy)`,
+        createdAt: now,
+        updatedAt: now
+      })
+      await refresh()
+    } catch (error) {
+      reportError('Failed to duplicate project:', error)
+    }
+  }, [refresh, reportError])
+
+  const removeProject = useCallback(async (id) => {
+    try {
+      if (id === currentIdRef.current) {
+        // Detach, but treat the design on screen as saved so autosave doesn't
+        // bring the deleted project back until the next edit
+        const { text, config } = stateRef.current
+        selectProject(null)
+        savedStateRef.current = JSON.stringify([text, config])
+      }
+      // A save already writing this project finishes before it's deleted
+      await pendingSaveRef.current
+      await deleteProject(id)
+      await refresh()
+    } catch (error) {
+      reportError('Failed to delete project:', error)
+    }
+  }, [refresh, selectProject, reportError])
+
+  return {
+    projects,
+    currentId,
+    lastSaved,
+    libraryError,
+    openProject,
+    startNewProject,
+    renameProject,
+    duplicateProject,
+    removeProject
+  }
+}
@@ -0,0 +1,64 @@
+import { useState, useCallback, useEffect, useRef } from 'react'
+import { clearHashDesign, createShareUrl, decodeDesign, getHashDesign } from '../utils/shareLink'
+import logger from '../utils/logger'
+
+const COPIED_MESSAGE_MS = 2500
+
+/**
+ * Share links: `shareDesign` builds a link with the current design in its
+ * hash and copies it to the clipboard (the page's own URL is left alone);
+ * designs in the hash, on load or pasted into the address bar later, are
+ * handed to `onOpen({ text, config, seed })`. A link that can't be opened
+ * leaves the current design in place and sets `shareWarning`.
+ */
+export const useShareLink = (text, config, onOpen) => {
+  const [shareStatus, setShareStatus] = useState(null)
+  const [shareWarning, setShareWarning] = useState(null)
+  const onOpenRef = useRef(onOpen)
+  onOpenRef.current = onOpen
+
+  const openHashDesign = useCallback(async () => {
+    const encoded = getHashDesign(window.location.hash)
+    if (!encoded) return
+    try {
+      onOpenRef.current(await decodeDesign(encoded))
+      setShareWarning(null)
+    } catch (error) {
+      logger.warn('Could not open shared design:', error)
+      setShareWarning(`This link's design couldn't be opened (${error.message}), so the default design is shown instead.`)
+    }
+    // Reloading should pick up later edits, not the link again
+    clearHashDesign()
+  }, [])
+
+  useEffect(() => {
+    openHashDesign()
+    window.addEventListener('hashchange', openHashDesign)
+    return () => window.removeEventListener('hashchange', openHashDesign)
+  }, [openHashDesign])
+
+  useEffect(() => {
+    if (shareStatus !== 'copied') return
+    const timeout = setTimeout(() => setShareStatus(null), COPIED_MESSAGE_MS)
+    return () => clearTimeout(timeout)
+  }, [shareStatus])
+
+  const shareDesign = useCallback(async () => {
+    try {
+      const url = await createShareUrl(text, config)
+      await navigator.clipboard.writeText(url)
+      setShareStatus('copied')
+      logger.info(`Share link copied (${url.length} characters)`)
+    } catch (error) {
+      logger.error('Failed to create share link:', error)
+      setShareStatus(`Couldn't copy the link: ${error.message}`)
+    }
+  }, [text, config])
+
+  return {
+    shareDesign,
+    shareStatus,
+    shareWarning,
+    dismissShareWarning: () => setShareWarning(null)
+  }
+}
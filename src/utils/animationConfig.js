@@ -1,14 +1,17 @@
 // Animation configuration generator and utilities
 
+import { createSeededRandom, generateSeed } from './random.js'
+import { countGraphemes } from './graphemes.js'
+import { getTextTiming } from './animationTiming.js'
+import { animationTypes, createDefaultTimeline, presetAnimationTypes } from './animations.js'
+import { getDefaultIntensities } from './postProcessing.js'
+import { particleEmitters, particleShapes } from './particleSystem.js'
+
 const fonts = [
   'Poppins', 'Montserrat', 'Roboto', 'Open Sans', 'Lato',
   'Oswald', 'Raleway', 'Nunito', 'Playfair Display', 'Source Sans Pro'
 ]
 
-const animationTypes = [
-  'bounce', 'wave', 'rotate', 'scale', 'fade', 'slide', 'glitch', 'elastic'
-]
-
 const colorPalettes = [
   {
     name: 'Sunset',
@@ -68,58 +71,101 @@ const colorPalettes = [
   }
 ]
 
-const getRandomElement = (array) => {
-  return array[Math.floor(Math.random() * array.length)]
+// Every helper takes the random source so a seeded PRNG can be threaded through
+const getRandomElement = (array, random = Math.random) => {
+  return array[Math.floor(random() * array.length)]
 }
 
-const getRandomFloat = (min, max) => {
-  return Math.random() * (max - min) + min
+const getRandomFloat = (min, max, random = Math.random) => {
+  return random() * (max - min) + min
 }
 
-const getRandomInt = (min, max) => {
-  return Math.floor(Math.random() * (max - min + 1)) + min
+const getRandomInt = (min, max, random = Math.random) => {
+  return Math.floor(random() * (max - min + 1)) + min
 }
 
-export const generateRandomConfig = () => {
-  const palette = getRandomElement(colorPalettes)
+// Extruded 3D text (see textScene3D.js); depth is a share of the font size
+export const defaultScene3D = {
+  enabled: false,
+  depth: 0.3,
+  bevel: true,
+  material: 'glossy',
+  font: 'helvetiker'
+}
 
-  return {
+// Text-to-particles morph (see textMorph.js); spacing is the sampling grid in px
+export const defaultMorph = {
+  enabled: false,
+  target: '',
+  spacing: 5
+}
+
+// What a seed's design draws its animation from. Frozen at the original
+// eight so adding types doesn't change existing seeds; newer ones such as
+// spiral and pulse are picked in the controls.
+const seededAnimationTypes = ['bounce', 'wave', 'rotate', 'scale', 'fade', 'slide', 'glitch', 'elastic']
+
+/**
+ * Generate a random design. The same seed always produces the same config,
+ * and the seed is stored on the config so effects and motion can reuse it.
+ */
+export const generateRandomConfig = (seed = generateSeed()) => {
+  const random = createSeededRandom(seed)
+  const palette = getRandomElement(colorPalettes, random)
+
+  const config = {
+    seed,
     font: {
-      family: getRandomElement(fonts),
-      size: getRandomInt(32, 128),
-      weight: getRandomElement(['400', '500', '600', '700', '800', '900'])
+      family: getRandomElement(fonts, random),
+      size: getRandomInt(32, 128, random),
+      weight: getRandomElement(['400', '500', '600', '700', '800', '900'], random)
     },
     animation: {
-      type: getRandomElement(animationTypes),
-      speed: getRandomFloat(0.5, 2.0),
-      duration: getRandomInt(2000, 8000),
-      delay: getRandomInt(0, 500),
-      easing: getRandomElement(['ease-in', 'ease-out', 'ease-in-out', 'linear'])
+      type: getRandomElement(seededAnimationTypes, random),
+      unit: 'char',
+      entrance: 'rise',
+      exit: 'rise',
+      speed: getRandomFloat(0.5, 2.0, random),
+      duration: getRandomInt(2000, 8000, random),
+      delay: getRandomInt(0, 500, random),
+      easing: getRandomElement(['ease-in', 'ease-out', 'ease-in-out', 'linear'], random)
     },
     colors: {
       primary: palette.primary,
       secondary: palette.secondary,
       accent: palette.accent,
-      background: palette.background
+      background: palette.background,
+      transparentBackground: false
     },
     effects: {
-      particles: Math.random() > 0.5,
-      glow: Math.random() > 0.3,
-      shadow: Math.random() > 0.4,
-      gradient: Math.random() > 0.6,
-      blur: Math.random() > 0.8,
-      distortion: Math.random() > 0.9
+      particles: random() > 0.5,
+      glow: random() > 0.3,
+      shadow: random() > 0.4,
+      gradient: random() > 0.6,
+      blur: random() > 0.8,
+      distortion: random() > 0.9,
+      chromatic: false,
+      scanlines: false
     },
+    effectIntensity: getDefaultIntensities(),
     layout: {
-      alignment: getRandomElement(['left', 'center', 'right']),
-      spacing: getRandomFloat(0.8, 2.0),
-      lineHeight: getRandomFloat(1.0, 1.8)
+      alignment: getRandomElement(['left', 'center', 'right'], random),
+      spacing: getRandomFloat(0.8, 2.0, random),
+      lineHeight: getRandomFloat(1.0, 1.8, random),
+      path: 'none',
+      pathData: ''
     },
     timing: {
-      stagger: getRandomInt(50, 200),
-      overlap: getRandomFloat(0.2, 0.8)
-    }
+      stagger: getRandomInt(50, 200, random),
+      overlap: getRandomFloat(0.2, 0.8, random)
+    },
+    timeline: createDefaultTimeline(),
+    scene3d: { ...defaultScene3D },
+    morph: { ...defaultMorph }
   }
+  // Generated last so adding particle settings left earlier seeds' designs unchanged
+  config.particles = generateParticleConfig(config.effects, random, palette)
+  return config
 }
 
 export const generateColorPalette = () => {
@@ -131,36 +177,46 @@ export const generateRandomFont = () => {
 }
 
 export const generateRandomAnimation = () => {
-  return getRandomElement(animationTypes)
+  return getRandomElement(presetAnimationTypes)
 }
 
-export const validateConfig = (config) => {
-  const requiredKeys = ['font', 'animation', 'colors', 'effects']
-  return requiredKeys.every(key => config && config[key])
-}
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Sections that aren't objects are ignored rather than spread into the config
+const mergeSection = (base, override) => (isPlainObject(override) ? { ...base, ...override } : base)
 
+/**
+ * Lay `overrides` over `baseConfig` section by section. Values aren't checked;
+ * see validateConfig and sanitizeConfig in configSchema.js.
+ */
 export const mergeConfigs = (baseConfig, overrides) => {
+  const source = isPlainObject(overrides) ? overrides : {}
   return {
     ...baseConfig,
-    font: { ...baseConfig.font, ...overrides.font },
-    animation: { ...baseConfig.animation, ...overrides.animation },
-    colors: { ...baseConfig.colors, ...overrides.colors },
-    effects: { ...baseConfig.effects, ...overrides.effects },
-    layout: { ...baseConfig.layout, ...overrides.layout },
-    timing: { ...baseConfig.timing, ...overrides.timing }
+    seed: source.seed ?? baseConfig.seed,
+    font: mergeSection(baseConfig.font, source.font),
+    animation: mergeSection(baseConfig.animation, source.animation),
+    colors: mergeSection(baseConfig.colors, source.colors),
+    effects: mergeSection(baseConfig.effects, source.effects),
+    effectIntensity: mergeSection(baseConfig.effectIntensity, source.effectIntensity),
+    layout: mergeSection(baseConfig.layout, source.layout),
+    timing: mergeSection(baseConfig.timing, source.timing),
+    timeline: isPlainObject(source.timeline) ? source.timeline : baseConfig.timeline,
+    scene3d: mergeSection(baseConfig.scene3d, source.scene3d),
+    particles: mergeSection(baseConfig.particles, source.particles),
+    morph: mergeSection(baseConfig.morph, source.morph)
   }
 }
 
+/**
+ * Real-time length (ms) of one full cycle: delay, intro, hold and outro
+ */
 export const getAnimationDuration = (text, config) => {
-  const baseTime = config.animation?.duration || 3000
-  const textLength = text.length
-  const stagger = config.timing?.stagger || 100
-
-  return baseTime + (textLength * stagger)
+  return getTextTiming(text, config).total / (config.animation?.speed || 1)
 }
 
 export const getOptimalFontSize = (text, canvasWidth, canvasHeight) => {
-  const textLength = text.length
+  const textLength = countGraphemes(text)
   const maxWidth = canvasWidth * 0.9
   const maxHeight = canvasHeight * 0.3
 
@@ -173,20 +229,33 @@ export const getOptimalFontSize = (text, canvasWidth, canvasHeight) => {
   return Math.max(16, Math.min(estimatedSize, 200))
 }
 
-export const generateParticleConfig = (effects) => {
-  if (!effects.particles) return null
+/**
+ * Particle settings for a design (see particleSystem.js). They are generated
+ * whether or not effects.particles is on, so switching the effect on shows
+ * the design's own particles.
+ */
+export const generateParticleConfig = (effects, random = Math.random, palette = null) => {
+  const emitter = getRandomElement(Object.keys(particleEmitters), random)
+  const shape = getRandomElement(Object.keys(particleShapes), random)
 
   return {
-    count: getRandomInt(20, 100),
-    size: getRandomFloat(1, 5),
-    speed: getRandomFloat(0.5, 3),
-    opacity: getRandomFloat(0.3, 0.8),
-    colors: [
-      'rgba(255, 255, 255, 0.8)',
-      'rgba(139, 92, 246, 0.6)',
-      'rgba(236, 72, 153, 0.6)',
-      'rgba(59, 130, 246, 0.6)'
-    ]
+    count: getRandomInt(20, 100, random),
+    size: getRandomFloat(1, 5, random),
+    speed: getRandomFloat(0.5, 3, random),
+    opacity: getRandomFloat(0.3, 0.8, random),
+    colors: palette
+      ? [palette.accent, palette.primary, palette.secondary]
+      : [
+          'rgba(255, 255, 255, 0.8)',
+          'rgba(139, 92, 246, 0.6)',
+          'rgba(236, 72, 153, 0.6)',
+          'rgba(59, 130, 246, 0.6)'
+        ],
+    emitter,
+    shape,
+    // Confetti falls; everything else floats
+    gravity: shape === 'confetti' ? 120 : 0,
+    wind: 0
   }
 }
 
@@ -0,0 +1,76 @@
+// Phase timing: delay, staggered intro, hold, staggered outro
+
+import { getEasing } from './easing.js'
+import { countAnimationUnits } from './textLayout.js'
+
+// Entrances never run faster than this, however small the stagger
+const MIN_TRANSITION_MS = 300
+const MAX_OVERLAP = 0.9
+
+/**
+ * Timing of one animation cycle for `unitCount` units, in scene time
+ * (before config.animation.speed is applied):
+ *
+ *   delay | intro (units enter `stagger` ms apart) | hold `duration` | outro
+ *
+ * `timing.overlap` is the share of each unit's entrance during which the
+ * next unit is already moving, so the entrance lasts stagger / (1 - overlap).
+ */
+export const getAnimationTiming = (unitCount, config) => {
+  const delay = Math.max(0, config?.animation?.delay ?? 0)
+  const hold = Math.max(0, config?.animation?.duration ?? 3000)
+  const stagger = Math.max(0, config?.timing?.stagger ?? 100)
+  const overlap = Math.min(MAX_OVERLAP, Math.max(0, config?.timing?.overlap ?? 0.5))
+
+  const transition = Math.max(MIN_TRANSITION_MS, stagger / (1 - overlap))
+  const sequence = Math.max(0, unitCount - 1) * stagger + transition
+
+  return {
+    delay,
+    hold,
+    stagger,
+    transition,
+    outroStart: delay + sequence + hold,
+    total: delay + sequence * 2 + hold,
+    easing: getEasing(config?.animation?.easing)
+  }
+}
+
+/**
+ * Where unit `order` is at cycle time `time`. Returns the phase ('before',
+ * 'intro', 'hold', 'outro' or 'after'), the eased progress through an intro
+ * or outro, and `localTime`, the unit's own clock for looping motion.
+ */
+export const getUnitPhase = (timing, order, time) => {
+  const introStart = timing.delay + order * timing.stagger
+  const outroStart = timing.outroStart + order * timing.stagger
+  const localTime = Math.max(0, time - introStart)
+
+  if (time < introStart) {
+    return { phase: 'before', progress: 0, localTime }
+  }
+  if (time < introStart + timing.transition) {
+    return { phase: 'intro', progress: timing.easing((time - introStart) / timing.transition), localTime }
+  }
+  if (time < outroStart) {
+    return { phase: 'hold', progress: 1, localTime }
+  }
+  if (time < outroStart + timing.transition) {
+    return { phase: 'outro', progress: timing.easing((time - outroStart) / timing.transition), localTime }
+  }
+  return { phase: 'after', progress: 1, localTime }
+}
+
+// Counting units segments the text, so the last answer is reused every frame
+let cachedCount = null
+
+/**
+ * Cycle timing for a text, using the stagger slots of config.animation.unit
+ */
+export const getTextTiming = (text, config) => {
+  const unit = config?.animation?.unit || 'char'
+  if (cachedCount?.text !== text || cachedCount?.unit !== unit) {
+    cachedCount = { text, unit, count: countAnimationUnits(text, unit) }
+  }
+  return getAnimationTiming(cachedCount.count, config)
+}
@@ -1,90 +1,58 @@
 // Advanced animation utilities and effects
 
-export const easeInOut = (t) => {
-  return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
-}
+import { hashRandom } from './random.js'
+import { bounce, easeIn, easeInOut, easeOut, elastic, getEasing } from './easing.js'
 
-export const easeIn = (t) => {
-  return t * t
-}
+// Easing curves lived here before easing.js; kept exported for existing imports
+export { bounce, easeIn, easeInOut, easeOut, elastic } from './easing.js'
 
-export const easeOut = (t) => {
-  return t * (2 - t)
-}
+// Glitch jumps are keyed on 60fps steps so the same time always glitches the same way
+const GLITCH_STEP_MS = 1000 / 60
 
-export const elastic = (t) => {
-  return Math.sin(-13 * (t + 1) * Math.PI / 2) * Math.pow(2, -10 * t) + 1
-}
+const IDENTITY_TRANSFORM = { x: 0, y: 0, scale: 1, rotation: 0, opacity: 1 }
 
-export const bounce = (t) => {
-  if (t < 1 / 2.75) {
-    return 7.5625 * t * t
-  } else if (t < 2 / 2.75) {
-    return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75
-  } else if (t < 2.5 / 2.75) {
-    return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375
-  } else {
-    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375
-  }
-}
+// Per-type helpers, kept with their original signatures for existing
+// callers. Each one delegates to animationRegistry so every type has a
+// single formula.
 
-export const createWaveAnimation = (time, index, amplitude = 20, frequency = 0.005) => {
-  return {
-    y: Math.sin(time * frequency + index * 0.5) * amplitude
-  }
+export const createWaveAnimation = (time, index, amplitude, frequency) => {
+  return animationRegistry.wave.animate(time, index, { amplitude, frequency })
 }
 
-export const createBounceAnimation = (time, index, amplitude = 30, speed = 0.01) => {
-  const t = (time * speed + index * 100) % 1000 / 1000
-  return {
-    y: -Math.abs(Math.sin(t * Math.PI)) * amplitude,
-    scale: 1 + Math.sin(t * Math.PI) * 0.1
-  }
+export const createBounceAnimation = (time, index, amplitude, speed) => {
+  return animationRegistry.bounce.animate(time, index, { amplitude, speed })
 }
 
-export const createRotateAnimation = (time, index, speed = 0.01) => {
-  return {
-    rotation: time * speed + index * 0.2
-  }
+export const createRotateAnimation = (time, index, speed) => {
+  return animationRegistry.rotate.animate(time, index, { speed })
 }
 
-export const createScaleAnimation = (time, index, baseScale = 1, amplitude = 0.3, speed = 0.008) => {
-  return {
-    scale: baseScale + Math.sin(time * speed + index * 0.3) * amplitude
-  }
+export const createScaleAnimation = (time, index, baseScale, amplitude, speed) => {
+  return animationRegistry.scale.animate(time, index, { baseScale, amplitude, speed })
 }
 
-export const createFadeAnimation = (time, index, speed = 0.005) => {
-  return {
-    opacity: 0.5 + Math.sin(time * speed + index * 0.4) * 0.5
-  }
+export const createFadeAnimation = (time, index, speed) => {
+  return animationRegistry.fade.animate(time, index, { speed })
 }
 
-export const createSlideAnimation = (time, index, amplitude = 10, speed = 0.003) => {
-  return {
-    x: Math.sin(time * speed + index * 0.2) * amplitude
-  }
+export const createSlideAnimation = (time, index, amplitude, speed) => {
+  return animationRegistry.slide.animate(time, index, { amplitude, speed })
 }
 
-export const createGlitchAnimation = (time, index) => {
+export const createGlitchAnimation = (time, index, random = Math.random) => {
   // Random glitch effect with low probability
-  if (Math.random() > 0.95) {
+  if (random() > 0.95) {
     return {
-      x: (Math.random() - 0.5) * 10,
-      y: (Math.random() - 0.5) * 10,
-      opacity: 0.5 + Math.random() * 0.5
+      x: (random() - 0.5) * 10,
+      y: (random() - 0.5) * 10,
+      opacity: 0.5 + random() * 0.5
     }
   }
   return { x: 0, y: 0, opacity: 1 }
 }
 
-export const createElasticAnimation = (time, index, amplitude = 0.2, speed = 0.01) => {
-  const t = (time * speed + index * 100) % 2000 / 2000
-  const elasticValue = elastic(t)
-  return {
-    scale: 1 + elasticValue * amplitude,
-    y: elasticValue * -10
-  }
+export const createElasticAnimation = (time, index, amplitude, speed) => {
+  return animationRegistry.elastic.animate(time, index, { amplitude, speed })
 }
 
 export const createSpiralAnimation = (time, index, radius = 50, speed = 0.005) => {
@@ -104,44 +72,221 @@ export const createPulseAnimation = (time, index, speed = 0.008) => {
   }
 }
 
-export const applyAnimation = (animationType, time, index, config = {}) => {
-  switch (animationType) {
-    case 'wave':
-      return createWaveAnimation(time, index, config.amplitude, config.frequency)
-    case 'bounce':
-      return createBounceAnimation(time, index, config.amplitude, config.speed)
-    case 'rotate':
-      return createRotateAnimation(time, index, config.speed)
-    case 'scale':
-      return createScaleAnimation(time, index, config.baseScale, config.amplitude, config.speed)
-    case 'fade':
-      return createFadeAnimation(time, index, config.speed)
-    case 'slide':
-      return createSlideAnimation(time, index, config.amplitude, config.speed)
-    case 'glitch':
-      return createGlitchAnimation(time, index)
-    case 'elastic':
-      return createElasticAnimation(time, index, config.amplitude, config.speed)
-    case 'spiral':
-      return createSpiralAnimation(time, index, config.radius, config.speed)
-    case 'pulse':
-      return createPulseAnimation(time, index, config.speed)
-    default:
-      return { x: 0, y: 0, scale: 1, rotation: 0, opacity: 1 }
+// Keyframe timelines: user-authored motion evaluated per animation unit
+
+export const timelineProperties = ['x', 'y', 'scale', 'rotation', 'opacity']
+
+// Rotation is stored in degrees so the editor can show friendly numbers
+export const keyframeDefaults = { x: 0, y: 0, scale: 1, rotation: 0, opacity: 1 }
+
+export const segmentEasings = {
+  linear: (t) => t,
+  easeIn,
+  easeOut,
+  easeInOut,
+  elastic,
+  bounce
+}
+
+// Track used for every unit that has no track of its own
+export const DEFAULT_TRACK = '*'
+
+export const createKeyframe = (time, values = {}, easing = 'easeInOut') => {
+  return { time, ...keyframeDefaults, ...values, easing }
+}
+
+export const createDefaultTimeline = () => {
+  return {
+    duration: 2000,
+    loop: true,
+    tracks: {
+      [DEFAULT_TRACK]: [
+        createKeyframe(0, {}, 'easeOut'),
+        createKeyframe(600, { y: -20, scale: 1.2 }, 'bounce'),
+        createKeyframe(1400, {})
+      ]
+    }
+  }
+}
+
+export const sortKeyframes = (keyframes) => {
+  return [...keyframes].sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Interpolated { x, y, scale, rotation, opacity } at `time` along a track
+ * sorted by time. Each keyframe's `easing` (a segment easing name or any
+ * CSS easing string) shapes the segment that starts at it; before the first
+ * and after the last keyframe values are held.
+ */
+export const evaluateKeyframes = (keyframes, time) => {
+  if (!keyframes || keyframes.length === 0) return { ...keyframeDefaults }
+
+  const first = keyframes[0]
+  const last = keyframes[keyframes.length - 1]
+  let from = first
+  let to = first
+  let progress = 0
+
+  if (time >= last.time) {
+    from = to = last
+  } else if (time > first.time) {
+    const next = keyframes.findIndex(keyframe => keyframe.time > time)
+    from = keyframes[next - 1]
+    to = keyframes[next]
+    const linear = (time - from.time) / (to.time - from.time)
+    progress = (segmentEasings[from.easing] || getEasing(from.easing))(linear)
+  }
+
+  const values = {}
+  timelineProperties.forEach((property) => {
+    const start = from[property] ?? keyframeDefaults[property]
+    const end = to[property] ?? keyframeDefaults[property]
+    values[property] = start + (end - start) * progress
+  })
+  return values
+}
+
+/**
+ * Transform for one unit from config.timeline. Units with their own track
+ * (keyed by unit index) use it, all others use the default track.
+ */
+export const evaluateTimeline = (timeline, time, index) => {
+  if (!timeline?.tracks) return {}
+
+  const track = timeline.tracks[index] || timeline.tracks[DEFAULT_TRACK]
+  const duration = Math.max(1, timeline.duration || 1)
+  const localTime = timeline.loop === false ? Math.min(time, duration) : time % duration
+  const values = evaluateKeyframes(track, localTime)
+
+  return {
+    ...values,
+    rotation: values.rotation * Math.PI / 180,
+    opacity: Math.max(0, Math.min(1, values.opacity))
   }
 }
 
-export const createParticle = (canvasWidth, canvasHeight) => {
+// Fallback for unknown types: a barely-there pulse so text never looks frozen
+const createIdleAnimation = (time, index) => {
+  return {
+    scale: 1 + Math.sin(time * 0.003 + index * 0.2) * 0.05
+  }
+}
+
+// Glitch for the canvas: derived from the design seed rather than a random
+// function, so every render of a frame matches
+const createSeededGlitch = (time, index, seed = 0) => {
+  const step = Math.floor(time / GLITCH_STEP_MS)
+  if (hashRandom(seed, index, step, 0) > 0.97) {
+    return {
+      x: (hashRandom(seed, index, step, 1) - 0.5) * 6,
+      y: (hashRandom(seed, index, step, 2) - 0.5) * 6
+    }
+  }
+  return {}
+}
+
+/**
+ * Every animation type the app offers. `animate(time, index, options)`
+ * returns a partial transform ({ x, y, scale, rotation, opacity }) for one
+ * animation unit, where `time` is that unit's staggered time in ms.
+ */
+export const animationRegistry = {
+  bounce: {
+    name: 'Bounce',
+    icon: '⚡',
+    animate: (time, index, { amplitude = 15, speed = 0.008 }) => ({ y: Math.sin(time * speed) * amplitude })
+  },
+  wave: {
+    name: 'Wave',
+    icon: '🌊',
+    animate: (time, index, { amplitude = 12, frequency = 0.006 }) => ({
+      y: Math.sin(time * frequency + index * 0.8) * amplitude
+    })
+  },
+  rotate: {
+    name: 'Rotate',
+    icon: '🔄',
+    animate: (time, index, { amplitude = 0.3, speed = 0.005 }) => ({ rotation: Math.sin(time * speed) * amplitude })
+  },
+  scale: {
+    name: 'Scale',
+    icon: '📏',
+    animate: (time, index, { baseScale = 1, amplitude = 0.2, speed = 0.007 }) => ({
+      scale: baseScale + Math.sin(time * speed) * amplitude
+    })
+  },
+  fade: {
+    name: 'Fade',
+    icon: '✨',
+    animate: (time, index, { speed = 0.004 }) => ({ opacity: 0.6 + Math.sin(time * speed) * 0.4 })
+  },
+  slide: {
+    name: 'Slide',
+    icon: '➡️',
+    animate: (time, index, { amplitude = 8, speed = 0.003 }) => ({
+      x: Math.sin(time * speed + index * 0.5) * amplitude
+    })
+  },
+  glitch: {
+    name: 'Glitch',
+    icon: '📺',
+    animate: (time, index, options) => createSeededGlitch(time, index, options.seed)
+  },
+  elastic: {
+    name: 'Elastic',
+    icon: '🎈',
+    animate: (time, index, { amplitude = 0.15, speed = 0.008 }) => ({
+      scale: 1 + Math.sin(time * speed + index * 0.3) * amplitude
+    })
+  },
+  spiral: {
+    name: 'Spiral',
+    icon: '🌀',
+    animate: (time, index, { radius = 10, speed }) => createSpiralAnimation(time, index, radius, speed)
+  },
+  pulse: {
+    name: 'Pulse',
+    icon: '💓',
+    animate: (time, index, options) => createPulseAnimation(time, index, options.speed)
+  },
+  keyframes: {
+    name: 'Timeline',
+    icon: '🎬',
+    animate: (time, index, options) => evaluateTimeline(options.timeline, time, index)
+  }
+}
+
+export const animationTypes = Object.keys(animationRegistry)
+
+// Types a random design can pick; the timeline only plays what the user authored
+export const presetAnimationTypes = animationTypes.filter(type => type !== 'keyframes')
+
+/**
+ * Full transform for one animation unit. `options` tunes the preset
+ * (amplitude, speed, radius, ...) and carries the design `seed` and
+ * `timeline`.
+ */
+export const applyAnimation = (animationType, time, index, options = {}) => {
+  const entry = animationRegistry[animationType]
+  const transform = entry
+    ? entry.animate(time, index, options)
+    : createIdleAnimation(time, index)
+
+  return { ...IDENTITY_TRANSFORM, ...transform }
+}
+
+export const createParticle = (canvasWidth, canvasHeight, random = Math.random) => {
   return {
-    x: Math.random() * canvasWidth,
-    y: Math.random() * canvasHeight,
-    vx: (Math.random() - 0.5) * 2,
-    vy: (Math.random() - 0.5) * 2,
-    size: Math.random() * 3 + 1,
-    opacity: Math.random() * 0.8 + 0.2,
-    life: Math.random() * 300 + 100,
+    x: random() * canvasWidth,
+    y: random() * canvasHeight,
+    vx: (random() - 0.5) * 2,
+    vy: (random() - 0.5) * 2,
+    size: random() * 3 + 1,
+    opacity: random() * 0.8 + 0.2,
+    life: random() * 300 + 100,
     maxLife: 300,
-    color: `hsl(${Math.random() * 360}, 70%, 60%)`
+    color: `hsl(${random() * 360}, 70%, 60%)`
   }
 }
 
@@ -0,0 +1,154 @@
+/**
+ * Minimal APNG (animated PNG) encoder
+ *
+ * Encodes RGBA frames into a single animated PNG with a full alpha channel,
+ * which GIF cannot represent. Frames are filtered and deflated as they are
+ * added so only compressed data is kept in memory. Compression uses the
+ * browser's CompressionStream, which produces the zlib stream PNG expects.
+ */
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10])
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const createChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length)
+  const view = new DataView(chunk.buffer)
+
+  view.setUint32(0, data.length)
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i)
+  }
+  chunk.set(data, 8)
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)))
+
+  return chunk
+}
+
+const deflate = async (data) => {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Prefix every scanline with the Sub filter, which predicts each byte from
+ * the pixel to its left and compresses flat areas far better than None
+ */
+const filterScanlines = (rgba, width, height) => {
+  const stride = width * 4
+  const out = new Uint8Array((stride + 1) * height)
+
+  for (let y = 0; y < height; y++) {
+    const rowIn = y * stride
+    const rowOut = y * (stride + 1)
+    out[rowOut] = 1
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? rgba[rowIn + x - 4] : 0
+      out[rowOut + 1 + x] = (rgba[rowIn + x] - left) & 0xff
+    }
+  }
+
+  return out
+}
+
+export class APNGEncoder {
+  /**
+   * @param {{ width: number, height: number, repeat?: number }} options
+   *   `repeat` is the APNG play count: 0 loops forever
+   */
+  constructor({ width, height, repeat = 0 }) {
+    this.width = width
+    this.height = height
+    this.repeat = repeat
+    this.frames = []
+  }
+
+  /**
+   * Add a frame from ImageData (or raw RGBA bytes) shown for `delayMs`
+   */
+  async addFrame(imageData, delayMs) {
+    const rgba = imageData.data || imageData
+    if (rgba.length !== this.width * this.height * 4) {
+      throw new Error(`Frame size does not match ${this.width}x${this.height}`)
+    }
+
+    const data = await deflate(filterScanlines(rgba, this.width, this.height))
+    this.frames.push({ data, delay: Math.max(1, Math.round(delayMs)) })
+  }
+
+  /**
+   * Assemble the added frames into an APNG Blob
+   */
+  encode() {
+    if (this.frames.length === 0) {
+      throw new Error('APNG needs at least one frame')
+    }
+
+    const chunks = [PNG_SIGNATURE]
+    let sequence = 0
+
+    const ihdr = new Uint8Array(13)
+    const ihdrView = new DataView(ihdr.buffer)
+    ihdrView.setUint32(0, this.width)
+    ihdrView.setUint32(4, this.height)
+    ihdr[8] = 8 // bit depth
+    ihdr[9] = 6 // colour type: truecolour with alpha
+    chunks.push(createChunk('IHDR', ihdr))
+
+    const actl = new Uint8Array(8)
+    const actlView = new DataView(actl.buffer)
+    actlView.setUint32(0, this.frames.length)
+    actlView.setUint32(4, this.repeat)
+    chunks.push(createChunk('acTL', actl))
+
+    this.frames.forEach((frame, index) => {
+      const fctl = new Uint8Array(26)
+      const fctlView = new DataView(fctl.buffer)
+      fctlView.setUint32(0, sequence++)
+      fctlView.setUint32(4, this.width)
+      fctlView.setUint32(8, this.height)
+      fctlView.setUint32(12, 0) // x offset
+      fctlView.setUint32(16, 0) // y offset
+      fctlView.setUint16(20, Math.min(frame.delay, 0xffff))
+      fctlView.setUint16(22, 1000) // delay is in milliseconds
+      fctl[24] = 1 // dispose: clear to transparent before the next frame
+      fctl[25] = 0 // blend: replace, so alpha is not composited over the last frame
+      chunks.push(createChunk('fcTL', fctl))
+
+      // The first frame doubles as the default image for non-APNG viewers
+      if (index === 0) {
+        chunks.push(createChunk('IDAT', frame.data))
+      } else {
+        const fdat = new Uint8Array(4 + frame.data.length)
+        new DataView(fdat.buffer).setUint32(0, sequence++)
+        fdat.set(frame.data, 4)
+        chunks.push(createChunk('fdAT', fdat))
+      }
+    })
+
+    chunks.push(createChunk('IEND', new Uint8Array(0)))
+
+    return new Blob(chunks, { type: 'image/apng' })
+  }
+}
+
+export default APNGEncoder
@@ -0,0 +1,147 @@
+// 2D versions of the blur and wave distortion effects, for when the WebGL
+// post-processing stage is unavailable. Blur uses the canvas `filter` where
+// the context supports it and a box blur on the pixels otherwise.
+
+import { WAVE_FREQUENCY, WAVE_SPEED, getEffectIntensity, postEffects } from './postProcessing.js'
+
+// Three box blurs approximate a gaussian
+const BOX_PASSES = 3
+
+let scratch = null
+
+const getScratchContext = (width, height) => {
+  if (!scratch) {
+    const canvas = typeof document !== 'undefined'
+      ? document.createElement('canvas')
+      : new OffscreenCanvas(width, height)
+    scratch = canvas.getContext('2d')
+  }
+  if (scratch.canvas.width !== width || scratch.canvas.height !== height) {
+    scratch.canvas.width = width
+    scratch.canvas.height = height
+  }
+  return scratch
+}
+
+/**
+ * One box blur pass of `radius` pixels over RGBA `source` into `target`.
+ * `stride` (distance between lines) and `step` (between pixels on a line)
+ * pick rows or columns.
+ */
+const boxBlurLines = (source, target, lines, length, stride, step, radius) => {
+  const size = radius * 2 + 1
+  for (let line = 0; line < lines; line++) {
+    const start = line * stride
+    for (let channel = 0; channel < 4; channel++) {
+      // Edge pixels repeat outward, like CLAMP_TO_EDGE in the shader
+      let sum = 0
+      for (let i = -radius; i <= radius; i++) {
+        sum += source[start + Math.min(length - 1, Math.max(0, i)) * step + channel]
+      }
+      for (let i = 0; i < length; i++) {
+        target[start + i * step + channel] = sum / size
+        const add = Math.min(length - 1, i + radius + 1)
+        const remove = Math.max(0, i - radius)
+        sum += source[start + add * step + channel] - source[start + remove * step + channel]
+      }
+    }
+  }
+}
+
+/**
+ * Gaussian-like blur of ImageData in place with standard deviation
+ * `deviation` pixels, for contexts without `filter`
+ */
+export const blurPixels = (imageData, deviation) => {
+  const { data, width, height } = imageData
+  // Box width whose repeated passes add up to the requested deviation
+  const boxWidth = Math.sqrt((12 * deviation * deviation) / BOX_PASSES + 1)
+  const boxRadius = Math.max(1, Math.round((boxWidth - 1) / 2))
+
+  // Blur premultiplied values so transparent pixels don't darken the edges
+  const pixels = new Float32Array(data.length)
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255
+    pixels[i] = data[i] * alpha
+    pixels[i + 1] = data[i + 1] * alpha
+    pixels[i + 2] = data[i + 2] * alpha
+    pixels[i + 3] = data[i + 3]
+  }
+
+  const buffer = new Float32Array(data.length)
+  for (let pass = 0; pass < BOX_PASSES; pass++) {
+    boxBlurLines(pixels, buffer, height, width, width * 4, 4, boxRadius)
+    boxBlurLines(buffer, pixels, width, height, 4, width * 4, boxRadius)
+  }
+
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = pixels[i + 3]
+    const unpremultiply = alpha > 0 ? 255 / alpha : 0
+    data[i] = pixels[i] * unpremultiply
+    data[i + 1] = pixels[i + 1] * unpremultiply
+    data[i + 2] = pixels[i + 2] * unpremultiply
+    data[i + 3] = alpha
+  }
+  return imageData
+}
+
+/**
+ * Shift each row of ImageData sideways along a sine wave, in place.
+ * `amplitude` is in pixels; `time` (ms) moves the wave.
+ */
+export const distortPixels = (imageData, amplitude, time) => {
+  const { width, height } = imageData
+  const rows = new Uint32Array(imageData.data.buffer)
+  const row = new Uint32Array(width)
+
+  for (let y = 0; y < height; y++) {
+    // Same wave as the shader, whose y axis runs bottom to top
+    const phase = (1 - y / height) * WAVE_FREQUENCY + time * WAVE_SPEED
+    const shift = Math.round(Math.sin(phase) * amplitude)
+    if (shift === 0) continue
+
+    const start = y * width
+    row.set(rows.subarray(start, start + width))
+    for (let x = 0; x < width; x++) {
+      rows[start + x] = row[Math.min(width - 1, Math.max(0, x + shift))]
+    }
+  }
+  return imageData
+}
+
+/**
+ * Apply the blur and distortion effects from config to everything drawn on
+ * `ctx`. `time` (ms) drives the wave. Returns whether anything was drawn.
+ */
+export const applyCanvasEffects = (ctx, config, time = 0) => {
+  const { width, height } = ctx.canvas
+  const amplitude = getEffectIntensity(config, 'distortion') * postEffects.distortion.scale * width
+  const radius = getEffectIntensity(config, 'blur') * postEffects.blur.scale * height
+  if (amplitude < 0.5 && radius < 0.5) return false
+
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+
+  if (amplitude >= 0.5) {
+    const imageData = ctx.getImageData(0, 0, width, height)
+    ctx.putImageData(distortPixels(imageData, amplitude, time), 0, 0)
+  }
+
+  if (radius >= 0.5) {
+    if ('filter' in ctx) {
+      // The shader's nine-tap kernel spreads about twice its standard deviation
+      const copy = getScratchContext(width, height)
+      copy.clearRect(0, 0, width, height)
+      copy.drawImage(ctx.canvas, 0, 0)
+      ctx.globalCompositeOperation = 'copy'
+      ctx.filter = `blur(${radius / 2}px)`
+      ctx.drawImage(copy.canvas, 0, 0)
+    } else {
+      const imageData = ctx.getImageData(0, 0, width, height)
+      ctx.putImageData(blurPixels(imageData, radius / 2), 0, 0)
+    }
+  }
+
+  ctx.restore()
+  return true
+}
@@ -1,11 +1,25 @@
 /**
- * Simplified Canvas Export System - PNG Only
+ * Canvas Export System - PNG, animated GIF/APNG and WebM video
  *
  * This system provides robust PNG export functionality with comprehensive
- * error handling and support for various canvas types.
+ * error handling and support for various canvas types, animated GIF and
+ * APNG encoding of frames rendered offline at a fixed frame rate, and WebM
+ * recording of the live canvas through MediaRecorder.
  */
 
+import GIF from 'gif.js/dist/gif.js'
+import gifWorkerUrl from 'gif.js/dist/gif.worker.js?url'
 import logger from './logger.js'
+import { createCanvas, releaseCanvas } from './canvasContextManager.js'
+import { environmentDetector } from './environmentDetector.js'
+import { getFrameTimes } from './frameRenderer.js'
+import { APNGEncoder } from './apngEncoder.js'
+
+const WEBM_MIME_TYPES = [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+]
 
 export class CanvasExportSystem {
     constructor() {
@@ -53,6 +67,416 @@ export class CanvasExportSystem {
         }
     }
 
+    /**
+     * Export a PNG by re-rendering the scene at an exact pixel size.
+     *
+     * `renderFrame(ctx)` draws the scene into an offscreen canvas of
+     * `width` x `height` pixels, independent of the on-screen canvas size.
+     */
+    async exportPNGAtResolution(renderFrame, options = {}) {
+        const exportId = this.generateExportId('png')
+        const startTime = performance.now()
+        const width = Math.round(options.width)
+        const height = Math.round(options.height)
+
+        let canvas = null
+
+        try {
+            this.startExport(exportId, 'png', options)
+
+            if (!(width > 0) || !(height > 0)) {
+                throw new Error(`Invalid PNG dimensions: ${options.width}x${options.height}`)
+            }
+
+            canvas = createCanvas(width, height, { reuseExisting: false })
+            if (!canvas) {
+                throw new Error('Unable to create offscreen canvas')
+            }
+
+            renderFrame(canvas.getContext('2d'))
+
+            const imageData = await this.extractImageDataWithFallbacks(canvas, {
+                format: 'png',
+                quality: options.quality || 1.0
+            })
+            const blob = await this.dataURLToBlob(imageData)
+
+            const result = {
+                blob,
+                format: 'png',
+                size: blob.size,
+                width,
+                height,
+                exportId,
+                duration: performance.now() - startTime
+            }
+
+            this.completeExport(exportId, result)
+            return result
+
+        } catch (error) {
+            this.failExport(exportId, error)
+            throw new Error(`PNG export failed: ${error.message}`)
+        } finally {
+            if (canvas) {
+                releaseCanvas(canvas)
+            }
+        }
+    }
+
+    /**
+     * Export an animated GIF by rendering frames at a fixed frame rate.
+     *
+     * `renderFrame(ctx, timeMs, frameIndex)` draws a single frame of the
+     * animation; it is called once per frame, stepping time at exactly
+     * 1000 / fps milliseconds so every export of a design is identical.
+     */
+    async exportGIF(renderFrame, options = {}) {
+        const exportId = this.generateExportId('gif')
+        const startTime = performance.now()
+        const {
+            width,
+            height,
+            duration,
+            fps = 15,
+            repeat = 0,
+            dither = false,
+            quality = 10,
+            onProgress = null
+        } = options
+
+        let frameCanvas = null
+
+        try {
+            this.startExport(exportId, 'gif', options)
+
+            if (typeof renderFrame !== 'function') {
+                throw new Error('A frame renderer is required for GIF export')
+            }
+
+            if (!(width > 0) || !(height > 0)) {
+                throw new Error(`Invalid GIF dimensions: ${width}x${height}`)
+            }
+
+            if (!(duration > 0) || !(fps > 0)) {
+                throw new Error(`Invalid GIF timing: ${duration}ms at ${fps}fps`)
+            }
+
+            frameCanvas = createCanvas(width, height, {
+                willReadFrequently: true,
+                reuseExisting: false
+            })
+
+            if (!frameCanvas) {
+                throw new Error('Unable to create frame canvas')
+            }
+
+            const ctx = frameCanvas.getContext('2d')
+            const frameDelay = Math.round(1000 / fps)
+            const frameTimes = getFrameTimes(duration, fps)
+            const frameCount = frameTimes.length
+
+            const gif = new GIF({
+                workers: 2,
+                workerScript: gifWorkerUrl,
+                width,
+                height,
+                repeat,
+                dither,
+                quality
+            })
+
+            // Rendering frames accounts for the first half of the progress
+            frameTimes.forEach((timeMs, i) => {
+                renderFrame(ctx, timeMs, i)
+                gif.addFrame(ctx, { delay: frameDelay, copy: true })
+                onProgress?.(((i + 1) / frameCount) * 50)
+            })
+
+            const blob = await this.encodeGIF(gif, onProgress)
+
+            const result = {
+                blob,
+                format: 'gif',
+                size: blob.size,
+                frames: frameCount,
+                exportId,
+                duration: performance.now() - startTime
+            }
+
+            this.completeExport(exportId, result)
+            return result
+
+        } catch (error) {
+            this.failExport(exportId, error)
+            throw new Error(`GIF export failed: ${error.message}`)
+        } finally {
+            if (frameCanvas) {
+                releaseCanvas(frameCanvas)
+            }
+        }
+    }
+
+    /**
+     * Export an animated PNG by rendering frames at a fixed frame rate.
+     *
+     * Unlike GIF, APNG keeps a full 8-bit alpha channel, so frames rendered
+     * without a background stay transparent. `repeat` follows the APNG play
+     * count: 0 loops forever.
+     */
+    async exportAPNG(renderFrame, options = {}) {
+        const exportId = this.generateExportId('apng')
+        const startTime = performance.now()
+        const {
+            width,
+            height,
+            duration,
+            fps = 15,
+            repeat = 0,
+            onProgress = null
+        } = options
+
+        let frameCanvas = null
+
+        try {
+            this.startExport(exportId, 'apng', options)
+
+            const unsupported = this.getUnsupportedReason('apng')
+            if (unsupported) {
+                throw new Error(unsupported)
+            }
+
+            if (typeof renderFrame !== 'function') {
+                throw new Error('A frame renderer is required for APNG export')
+            }
+
+            if (!(width > 0) || !(height > 0)) {
+                throw new Error(`Invalid APNG dimensions: ${width}x${height}`)
+            }
+
+            if (!(duration > 0) || !(fps > 0)) {
+                throw new Error(`Invalid APNG timing: ${duration}ms at ${fps}fps`)
+            }
+
+            frameCanvas = createCanvas(width, height, {
+                willReadFrequently: true,
+                reuseExisting: false
+            })
+
+            if (!frameCanvas) {
+                throw new Error('Unable to create frame canvas')
+            }
+
+            const ctx = frameCanvas.getContext('2d')
+            const frameTimes = getFrameTimes(duration, fps)
+            const encoder = new APNGEncoder({ width, height, repeat })
+
+            for (let i = 0; i < frameTimes.length; i++) {
+                renderFrame(ctx, frameTimes[i], i)
+                await encoder.addFrame(ctx.getImageData(0, 0, width, height), 1000 / fps)
+                onProgress?.(((i + 1) / frameTimes.length) * 95)
+            }
+
+            const blob = encoder.encode()
+            onProgress?.(100)
+
+            const result = {
+                blob,
+                format: 'apng',
+                size: blob.size,
+                frames: frameTimes.length,
+                exportId,
+                duration: performance.now() - startTime
+            }
+
+            this.completeExport(exportId, result)
+            return result
+
+        } catch (error) {
+            this.failExport(exportId, error)
+            throw new Error(`APNG export failed: ${error.message}`)
+        } finally {
+            if (frameCanvas) {
+                releaseCanvas(frameCanvas)
+            }
+        }
+    }
+
+    /**
+     * Why `format` can't be exported in this browser, or null when it can.
+     * Checked up front so the export panel can disable what won't work.
+     */
+    getUnsupportedReason(format) {
+        if (format === 'apng' && !environmentDetector.isSupported('compressionStream')) {
+            return 'Animated PNG export is not supported in this browser (no CompressionStream)'
+        }
+        if (format === 'webm') {
+            if (!environmentDetector.isSupported('mediaRecorder')) {
+                return 'WebM export is not supported in this browser (no MediaRecorder)'
+            }
+            if (!environmentDetector.isSupported('captureStream')) {
+                return 'WebM export is not supported in this browser (no canvas.captureStream)'
+            }
+            if (!this.getSupportedWebMType()) {
+                return 'WebM export is not supported in this browser (no WebM codec)'
+            }
+        }
+        return null
+    }
+
+    /**
+     * Run the gif.js encoder, reporting quantization progress as 50-100%
+     */
+    async encodeGIF(gif, onProgress) {
+        return new Promise((resolve, reject) => {
+            gif.on('progress', (progress) => onProgress?.(50 + progress * 50))
+            gif.on('finished', (blob) => resolve(blob))
+            gif.on('abort', () => reject(new Error('GIF encoding was aborted')))
+
+            try {
+                gif.render()
+            } catch (error) {
+                reject(error)
+            }
+        })
+    }
+
+    /**
+     * Record the live canvas as WebM video via canvas.captureStream.
+     *
+     * The canvas must be animating while it is recorded; recording stops
+     * automatically once `duration` milliseconds have elapsed. `waitForStart`
+     * (optional) resolves when the animation is at the start of a cycle, so
+     * the clip begins at a loop point.
+     */
+    async exportWebM(canvasInput, options = {}) {
+        const exportId = this.generateExportId('webm')
+        const startTime = performance.now()
+        const exportConfig = environmentDetector.getOptimalExportConfig()
+        const {
+            duration,
+            quality = 'medium',
+            fps = exportConfig.preferredFrameRate,
+            onProgress = null,
+            waitForStart = null
+        } = options
+
+        try {
+            this.startExport(exportId, 'webm', options)
+
+            const unsupported = this.getUnsupportedReason('webm')
+            if (unsupported) {
+                throw new Error(unsupported)
+            }
+
+            if (!(duration > 0)) {
+                throw new Error(`Invalid recording duration: ${duration}ms`)
+            }
+
+            const preset = exportConfig.qualityPresets[quality]
+            if (!preset) {
+                throw new Error(`Unknown quality preset: ${quality}`)
+            }
+
+            const canvas = await this.resolveCanvasWithValidation(canvasInput)
+            const mimeType = this.getSupportedWebMType()
+            const recordDuration = Math.min(duration, exportConfig.maxDuration)
+
+            if (recordDuration < duration) {
+                logger.warn(`Recording capped at ${recordDuration}ms (requested ${duration}ms)`)
+            }
+
+            if (waitForStart) {
+                await waitForStart()
+            }
+
+            const blob = await this.recordCanvas(canvas, {
+                mimeType,
+                fps,
+                bitrate: preset.bitrate,
+                duration: recordDuration,
+                onProgress
+            })
+
+            const result = {
+                blob,
+                format: 'webm',
+                mimeType,
+                size: blob.size,
+                exportId,
+                duration: performance.now() - startTime
+            }
+
+            this.completeExport(exportId, result)
+            return result
+
+        } catch (error) {
+            this.failExport(exportId, error)
+            throw new Error(`WebM export failed: ${error.message}`)
+        }
+    }
+
+    /**
+     * Pick the best WebM container/codec the browser can record, or null
+     * when it can't record WebM at all
+     */
+    getSupportedWebMType() {
+        if (typeof MediaRecorder === 'undefined') {
+            return null
+        }
+        return WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null
+    }
+
+    /**
+     * Capture a canvas stream with MediaRecorder for a fixed duration
+     */
+    async recordCanvas(canvas, { mimeType, fps, bitrate, duration, onProgress }) {
+        return new Promise((resolve, reject) => {
+            const stream = canvas.captureStream(fps)
+            const recorder = new MediaRecorder(stream, {
+                mimeType,
+                videoBitsPerSecond: bitrate
+            })
+            const chunks = []
+            let progressTimer = null
+            let recordStart = 0
+
+            const stopTracks = () => {
+                clearInterval(progressTimer)
+                stream.getTracks().forEach(track => track.stop())
+            }
+
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data)
+                }
+            }
+
+            recorder.onstop = () => {
+                stopTracks()
+                onProgress?.(100)
+                resolve(new Blob(chunks, { type: mimeType }))
+            }
+
+            recorder.onerror = (event) => {
+                stopTracks()
+                reject(event.error || new Error('MediaRecorder error'))
+            }
+
+            recorder.start(250)
+            recordStart = performance.now()
+
+            progressTimer = setInterval(() => {
+                const elapsed = performance.now() - recordStart
+                onProgress?.(Math.min(elapsed / duration, 1) * 99)
+
+                if (elapsed >= duration && recorder.state === 'recording') {
+                    recorder.stop()
+                }
+            }, 100)
+        })
+    }
+
     /**
      * Resolve canvas with comprehensive validation
      */
@@ -0,0 +1,296 @@
+// Config schema: types, ranges and allowed values for every setting, used to
+// check configs arriving from files, links, storage and generators, and to
+// repair them into something the renderer can safely draw
+
+import { fonts, generateRandomConfig } from './animationConfig.js'
+import { animationTypes, DEFAULT_TRACK, keyframeDefaults, segmentEasings } from './animations.js'
+import { isValidEasing } from './easing.js'
+import { particleEmitters, particleShapes } from './particleSystem.js'
+import { postEffects } from './postProcessing.js'
+import { MAX_SEED } from './random.js'
+import { pathShapes } from './textPath.js'
+import { entranceRegistry, exitRegistry } from './transitions.js'
+
+const MAX_TEXT_LENGTH = 280
+const MAX_PATH_DATA_LENGTH = 4096
+const MAX_PARTICLE_COLORS = 16
+const MAX_KEYFRAMES = 100
+const MAX_TRACKS = 500
+
+// Typeface fonts and materials offered by textScene3D.js, which isn't
+// imported here so three.js stays out of the main bundle
+const scene3DFonts = ['helvetiker', 'optimer', 'gentilis']
+const scene3DMaterials = ['matte', 'glossy', 'metal', 'toon']
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i
+const NUMBER = '\\s*-?(?:\\d+\\.?\\d*|\\.\\d+)%?\\s*'
+const FUNCTION_COLOR = new RegExp(`^(?:rgba?|hsla?)\\((?:${NUMBER},){2}${NUMBER}(?:,${NUMBER})?\\)$`, 'i')
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.getPrototypeOf(value) === Object.prototype
+)
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+
+// Leaf types: `check` returns an error message or null; `repair` turns an
+// invalid value into a valid one, falling back to the default value
+
+const number = (min, max, { integer = false } = {}) => ({
+  check: (value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number'
+    if (integer && !Number.isInteger(value)) return 'must be a whole number'
+    if (value < min || value > max) return `must be between ${min} and ${max}`
+    return null
+  },
+  repair: (value, fallback) => (
+    typeof value === 'number' && Number.isFinite(value)
+      ? clamp(integer ? Math.round(value) : value, min, max)
+      : fallback
+  )
+})
+
+const boolean = () => ({
+  check: (value) => (typeof value === 'boolean' ? null : 'must be true or false')
+})
+
+const oneOf = (values) => ({
+  check: (value) => (values.includes(value) ? null : `must be one of: ${values.join(', ')}`)
+})
+
+const text = (maxLength) => ({
+  check: (value) => {
+    if (typeof value !== 'string') return 'must be text'
+    if (value.length > maxLength) return `must be at most ${maxLength} characters`
+    return null
+  },
+  repair: (value, fallback) => (typeof value === 'string' ? value.slice(0, maxLength) : fallback)
+})
+
+const color = () => ({
+  check: (value) => (
+    typeof value === 'string' && (HEX_COLOR.test(value) || FUNCTION_COLOR.test(value) || value === 'transparent')
+      ? null
+      : 'must be a hex, rgb() or hsl() color'
+  )
+})
+
+const easing = () => ({
+  check: (value) => (typeof value === 'string' && isValidEasing(value) ? null : 'must be a valid easing')
+})
+
+// Containers: fixed fields, lists, and maps with free-form keys
+
+const shape = (fields) => ({ fields })
+
+// `itemDefault` fills in missing fields of repaired items
+const list = (items, { max, min = 0, itemDefault }) => ({ items, max, min, itemDefault })
+
+// Entries without a default of their own are repaired against `defaultKey`'s
+const map = (values, { max, keys, required = [], defaultKey }) => ({ values, max, keys, required, defaultKey })
+
+const defaultKeyframe = { time: 0, ...keyframeDefaults, easing: 'easeInOut' }
+
+const keyframe = shape({
+  time: number(0, 10000),
+  x: number(-1000, 1000),
+  y: number(-1000, 1000),
+  scale: number(0, 10),
+  rotation: number(-3600, 3600),
+  opacity: number(0, 1),
+  easing: oneOf(Object.keys(segmentEasings))
+})
+
+export const configSchema = shape({
+  seed: number(0, MAX_SEED, { integer: true }),
+  font: shape({
+    family: oneOf(fonts),
+    size: number(8, 400),
+    weight: oneOf(['100', '200', '300', '400', '500', '600', '700', '800', '900'])
+  }),
+  animation: shape({
+    type: oneOf(animationTypes),
+    unit: oneOf(['char', 'word', 'line', 'whole']),
+    entrance: oneOf(Object.keys(entranceRegistry)),
+    exit: oneOf(Object.keys(exitRegistry)),
+    speed: number(0.1, 5),
+    duration: number(0, 30000),
+    delay: number(0, 10000),
+    easing: easing()
+  }),
+  colors: shape({
+    primary: color(),
+    secondary: color(),
+    accent: color(),
+    background: color(),
+    transparentBackground: boolean()
+  }),
+  effects: shape(Object.fromEntries(
+    ['particles', 'glow', 'shadow', 'gradient', 'blur', 'distortion', 'chromatic', 'scanlines']
+      .map(effect => [effect, boolean()])
+  )),
+  effectIntensity: shape(Object.fromEntries(Object.keys(postEffects).map(effect => [effect, number(0, 1)]))),
+  layout: shape({
+    alignment: oneOf(['left', 'center', 'right']),
+    spacing: number(0, 5),
+    lineHeight: number(0.5, 4),
+    path: oneOf(Object.keys(pathShapes)),
+    pathData: text(MAX_PATH_DATA_LENGTH)
+  }),
+  timing: shape({
+    stagger: number(0, 2000),
+    overlap: number(0, 0.95)
+  }),
+  timeline: shape({
+    duration: number(200, 10000),
+    loop: boolean(),
+    tracks: map(list(keyframe, { max: MAX_KEYFRAMES, min: 1, itemDefault: defaultKeyframe }), {
+      max: MAX_TRACKS,
+      keys: /^(?:\*|\d+)$/,
+      required: [DEFAULT_TRACK],
+      defaultKey: DEFAULT_TRACK
+    })
+  }),
+  scene3d: shape({
+    enabled: boolean(),
+    depth: number(0.05, 1),
+    bevel: boolean(),
+    material: oneOf(scene3DMaterials),
+    font: oneOf(scene3DFonts)
+  }),
+  morph: shape({
+    enabled: boolean(),
+    target: text(MAX_TEXT_LENGTH),
+    spacing: number(3, 12)
+  }),
+  particles: shape({
+    count: number(0, 300, { integer: true }),
+    size: number(0.5, 8),
+    speed: number(0, 5),
+    opacity: number(0, 1),
+    colors: list(color(), { max: MAX_PARTICLE_COLORS }),
+    emitter: oneOf(Object.keys(particleEmitters)),
+    shape: oneOf(Object.keys(particleShapes)),
+    gravity: number(-300, 300),
+    wind: number(-300, 300)
+  })
+})
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key))
+
+const checkValue = (schema, value, path, errors) => {
+  if (schema.fields) {
+    if (!isPlainObject(value)) {
+      errors.push({ path, message: 'must be an object' })
+      return
+    }
+    Object.entries(schema.fields).forEach(([key, field]) => {
+      if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: 'is required' })
+      else checkValue(field, value[key], joinPath(path, key), errors)
+    })
+    Object.keys(value)
+      .filter(key => !Object.hasOwn(schema.fields, key))
+      .forEach(key => errors.push({ path: joinPath(path, key), message: 'is not a known setting' }))
+    return
+  }
+
+  if (schema.items) {
+    if (!Array.isArray(value)) {
+      errors.push({ path, message: 'must be a list' })
+      return
+    }
+    if (value.length < schema.min) errors.push({ path, message: `must have at least ${schema.min} entries` })
+    if (value.length > schema.max) errors.push({ path, message: `must have at most ${schema.max} entries` })
+    value.slice(0, schema.max).forEach((item, i) => checkValue(schema.items, item, `${path}[${i}]`, errors))
+    return
+  }
+
+  if (schema.values) {
+    if (!isPlainObject(value)) {
+      errors.push({ path, message: 'must be an object' })
+      return
+    }
+    const keys = Object.keys(value)
+    if (keys.length > schema.max) errors.push({ path, message: `must have at most ${schema.max} entries` })
+    schema.required
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ path: joinPath(path, key), message: 'is required' }))
+    keys.slice(0, schema.max).forEach((key) => {
+      if (!schema.keys.test(key)) errors.push({ path: joinPath(path, key), message: 'is not a valid key' })
+      else checkValue(schema.values, value[key], joinPath(path, key), errors)
+    })
+    return
+  }
+
+  const message = schema.check(value)
+  if (message) errors.push({ path, message })
+}
+
+const repairValue = (schema, value, fallback) => {
+  if (schema.fields) {
+    if (!isPlainObject(value)) return fallback
+    return Object.fromEntries(Object.entries(schema.fields).map(([key, field]) => [
+      key,
+      value[key] === undefined ? fallback?.[key] : repairValue(field, value[key], fallback?.[key])
+    ]))
+  }
+
+  if (schema.items) {
+    if (!Array.isArray(value)) return fallback
+    // Drop entries that can't be repaired rather than invent them
+    const items = value
+      .filter(item => (schema.items.fields ? isPlainObject(item) : !schema.items.check(item)))
+      .slice(0, schema.max)
+      .map(item => repairValue(schema.items, item, schema.itemDefault))
+    return items.length >= schema.min ? items : fallback
+  }
+
+  if (schema.values) {
+    if (!isPlainObject(value)) return fallback
+    const entries = Object.keys(value)
+      .filter(key => schema.keys.test(key))
+      .slice(0, schema.max)
+      .map(key => [key, repairValue(schema.values, value[key], fallback?.[key] ?? fallback?.[schema.defaultKey])])
+      .filter(([, entry]) => entry !== undefined)
+    const repaired = Object.fromEntries(entries)
+    schema.required
+      .filter(key => repaired[key] === undefined)
+      .forEach((key) => { repaired[key] = fallback?.[key] })
+    return repaired
+  }
+
+  if (!schema.check(value)) return value
+  return schema.repair ? schema.repair(value, fallback) : fallback
+}
+
+/**
+ * Check a config against the schema. Returns a list of
+ * { path, message } errors, e.g. { path: 'animation.speed', message:
+ * 'must be between 0.1 and 5' }; an empty list means the config is valid.
+ */
+export const validateConfig = (config) => {
+  const errors = []
+  checkValue(configSchema, config, '', errors)
+  return errors.map(error => ({ ...error, path: error.path || 'config' }))
+}
+
+export const formatConfigErrors = (errors, limit = 3) => {
+  const shown = errors.slice(0, limit).map(({ path, message }) => `${path} ${message}`)
+  const more = errors.length > limit ? ` and ${errors.length - limit} more` : ''
+  return `${shown.join('; ')}${more}`
+}
+
+/**
+ * Repair a config so it passes validateConfig: numbers out of range are
+ * clamped, text is truncated, unknown settings are dropped, and anything
+ * else invalid or missing takes its value from the design the config's seed
+ * generates. Returns { config, errors } with the errors that were repaired.
+ */
+export const sanitizeConfig = (config) => {
+  const errors = validateConfig(config)
+  if (errors.length === 0) return { config, errors }
+
+  const seed = configSchema.fields.seed.check(config?.seed) ? undefined : config.seed
+  const defaults = generateRandomConfig(seed)
+  return { config: repairValue(configSchema, config, defaults), errors }
+}
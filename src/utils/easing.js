@@ -0,0 +1,267 @@
+// Easing functions: CSS keywords, cubic-bezier(), steps() and springs
+
+export const easeInOut = (t) => {
+  return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
+}
+
+export const easeIn = (t) => {
+  return t * t
+}
+
+export const easeOut = (t) => {
+  return t * (2 - t)
+}
+
+export const elastic = (t) => {
+  return Math.sin(-13 * (t + 1) * Math.PI / 2) * Math.pow(2, -10 * t) + 1
+}
+
+export const bounce = (t) => {
+  if (t < 1 / 2.75) {
+    return 7.5625 * t * t
+  } else if (t < 2 / 2.75) {
+    return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75
+  } else if (t < 2.5 / 2.75) {
+    return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375
+  } else {
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375
+  }
+}
+
+export const DEFAULT_EASING = 'ease-in-out'
+
+// CSS keywords as their cubic-bezier() definitions
+export const cssKeywords = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+}
+
+export const DEFAULT_SPRING = { stiffness: 170, damping: 26, mass: 1 }
+
+/**
+ * Cubic bézier easing through (0,0), (x1,y1), (x2,y2), (1,1), solved for x
+ * with Newton's method and falling back to bisection, as browsers do
+ */
+export const cubicBezier = (x1, y1, x2, y2) => {
+  const cx = 3 * x1
+  const bx = 3 * (x2 - x1) - cx
+  const ax = 1 - cx - bx
+  const cy = 3 * y1
+  const by = 3 * (y2 - y1) - cy
+  const ay = 1 - cy - by
+
+  const sampleX = (s) => ((ax * s + bx) * s + cx) * s
+  const sampleY = (s) => ((ay * s + by) * s + cy) * s
+  const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx
+
+  const solveX = (x) => {
+    let s = x
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(s) - x
+      if (Math.abs(error) < 1e-6) return s
+      const slope = slopeX(s)
+      if (Math.abs(slope) < 1e-6) break
+      s -= error / slope
+    }
+
+    let low = 0
+    let high = 1
+    s = x
+    while (low < high) {
+      const value = sampleX(s)
+      if (Math.abs(value - x) < 1e-6) return s
+      if (x > value) low = s
+      else high = s
+      if (high - low < 1e-7) break
+      s = (low + high) / 2
+    }
+    return s
+  }
+
+  return (t) => {
+    if (t <= 0) return 0
+    if (t >= 1) return 1
+    return sampleY(solveX(t))
+  }
+}
+
+/**
+ * CSS steps(): `position` is jump-start, jump-end, jump-none or jump-both
+ * (start and end are aliases of jump-start and jump-end)
+ */
+export const steps = (count, position = 'jump-end') => {
+  const n = Math.max(1, Math.round(count))
+  const jump = position === 'start' ? 'jump-start' : position === 'end' ? 'jump-end' : position
+  const intervals = jump === 'jump-none' ? Math.max(1, n - 1) : jump === 'jump-both' ? n + 1 : n
+  const offset = jump === 'jump-start' || jump === 'jump-both' ? 1 : 0
+
+  return (t) => {
+    if (t <= 0) return jump === 'jump-start' || jump === 'jump-both' ? offset / intervals : 0
+    if (t >= 1) return 1
+    return Math.min(1, (Math.floor(t * n) + offset) / intervals)
+  }
+}
+
+/**
+ * Damped spring released from 0 towards 1. Progress is mapped onto the time
+ * the spring takes to settle, so the curve always ends at exactly 1.
+ */
+export const spring = ({ stiffness = DEFAULT_SPRING.stiffness, damping = DEFAULT_SPRING.damping, mass = DEFAULT_SPRING.mass } = {}) => {
+  const k = Math.max(0.01, stiffness)
+  const c = Math.max(0, damping)
+  const m = Math.max(0.01, mass)
+
+  const omega = Math.sqrt(k / m)
+  const zeta = c / (2 * Math.sqrt(k * m))
+
+  let position
+  let decay
+  if (zeta < 1) {
+    const omegaD = omega * Math.sqrt(1 - zeta * zeta)
+    decay = zeta * omega
+    position = (time) => 1 - Math.exp(-decay * time) *
+      (Math.cos(omegaD * time) + (decay / omegaD) * Math.sin(omegaD * time))
+  } else if (zeta === 1) {
+    decay = omega
+    position = (time) => 1 - Math.exp(-omega * time) * (1 + omega * time)
+  } else {
+    const root = Math.sqrt(zeta * zeta - 1)
+    const r1 = -omega * (zeta - root)
+    const r2 = -omega * (zeta + root)
+    decay = -r1
+    position = (time) => 1 - (r2 * Math.exp(r1 * time) - r1 * Math.exp(r2 * time)) / (r2 - r1)
+  }
+
+  // Undamped springs never settle, so they get a fixed ten-second window
+  const settleTime = decay > 0 ? Math.log(1000) / decay : 10
+
+  return (t) => {
+    if (t <= 0) return 0
+    if (t >= 1) return 1
+    return position(t * settleTime)
+  }
+}
+
+const parseArguments = (value, name) => {
+  const match = value.match(new RegExp(`^${name}\\(([^)]*)\\)$`))
+  if (!match) return null
+  return match[1].split(',').map(arg => arg.trim()).filter(Boolean)
+}
+
+const toNumbers = (args) => {
+  const numbers = args.map(Number)
+  return numbers.every(Number.isFinite) ? numbers : null
+}
+
+/**
+ * Parse an easing string into a function of progress (0–1), or null if it
+ * is not valid. Accepts CSS keywords, step-start / step-end,
+ * cubic-bezier(x1, y1, x2, y2), steps(n[, position]) and
+ * spring(stiffness, damping, mass).
+ */
+export const parseEasing = (input) => {
+  const value = String(input ?? '').trim().toLowerCase().replace(/\s+/g, ' ')
+  if (!value) return null
+
+  if (cssKeywords[value]) return cubicBezier(...cssKeywords[value])
+  if (value === 'step-start') return steps(1, 'jump-start')
+  if (value === 'step-end') return steps(1, 'jump-end')
+
+  const bezierArgs = parseArguments(value, 'cubic-bezier')
+  if (bezierArgs) {
+    const numbers = toNumbers(bezierArgs)
+    if (!numbers || numbers.length !== 4) return null
+    const [x1, y1, x2, y2] = numbers
+    if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return null
+    return cubicBezier(x1, y1, x2, y2)
+  }
+
+  const stepArgs = parseArguments(value, 'steps')
+  if (stepArgs) {
+    const count = Number(stepArgs[0])
+    const position = stepArgs[1] || 'jump-end'
+    const positions = ['jump-start', 'jump-end', 'jump-none', 'jump-both', 'start', 'end']
+    if (!Number.isInteger(count) || count < 1 || stepArgs.length > 2 || !positions.includes(position)) return null
+    if (position === 'jump-none' && count < 2) return null
+    return steps(count, position)
+  }
+
+  const springArgs = parseArguments(value, 'spring')
+  if (springArgs) {
+    const numbers = toNumbers(springArgs)
+    if (!numbers || numbers.length > 3 || numbers.some(n => n < 0)) return null
+    const [stiffness, damping, mass] = numbers
+    return spring({ stiffness, damping, mass })
+  }
+
+  return null
+}
+
+export const isValidEasing = (input) => parseEasing(input) !== null
+
+// Parsing is cheap but runs for every unit on every frame
+const easingCache = new Map()
+const MAX_CACHED_EASINGS = 64
+
+/**
+ * Easing function for a config value, falling back to ease-in-out
+ */
+export const getEasing = (input) => {
+  const key = String(input ?? '')
+  if (!easingCache.has(key)) {
+    // Dragging the curve editor produces a new string per pointer move
+    if (easingCache.size >= MAX_CACHED_EASINGS) easingCache.clear()
+    easingCache.set(key, parseEasing(key) || parseEasing(DEFAULT_EASING))
+  }
+  return easingCache.get(key)
+}
+
+export const formatCubicBezier = (points) => {
+  const round = (n) => Math.round(n * 100) / 100
+  return `cubic-bezier(${points.map(round).join(', ')})`
+}
+
+export const formatSpring = ({ stiffness, damping, mass }) => {
+  return `spring(${stiffness}, ${damping}, ${mass})`
+}
+
+export const formatSteps = (count, position = 'jump-end') => {
+  return position === 'jump-end' ? `steps(${count})` : `steps(${count}, ${position})`
+}
+
+/**
+ * Break an easing string into the editor's terms:
+ * { mode: 'bezier' | 'steps' | 'spring', ... }
+ */
+export const describeEasing = (input) => {
+  const value = String(input ?? '').trim().toLowerCase()
+
+  if (cssKeywords[value]) return { mode: 'bezier', points: cssKeywords[value] }
+  if (value === 'step-start') return { mode: 'steps', count: 1, position: 'jump-start' }
+  if (value === 'step-end') return { mode: 'steps', count: 1, position: 'jump-end' }
+
+  const bezierArgs = parseArguments(value, 'cubic-bezier')
+  if (bezierArgs && isValidEasing(value)) return { mode: 'bezier', points: toNumbers(bezierArgs) }
+
+  const stepArgs = parseArguments(value, 'steps')
+  if (stepArgs && isValidEasing(value)) {
+    return { mode: 'steps', count: Number(stepArgs[0]), position: stepArgs[1] || 'jump-end' }
+  }
+
+  const springArgs = parseArguments(value, 'spring')
+  const springValues = springArgs && toNumbers(springArgs)
+  if (springValues) {
+    const [stiffness, damping, mass] = springValues
+    return {
+      mode: 'spring',
+      stiffness: stiffness ?? DEFAULT_SPRING.stiffness,
+      damping: damping ?? DEFAULT_SPRING.damping,
+      mass: mass ?? DEFAULT_SPRING.mass
+    }
+  }
+
+  return { mode: 'bezier', points: cssKeywords[DEFAULT_EASING] }
+}
@@ -81,6 +81,7 @@ class EnvironmentDetector {
       fileSystem: this.checkFileSystemSupport(),
       blobConstructor: this.checkBlobSupport(),
       urlCreateObjectURL: this.checkURLSupport(),
+      compressionStream: this.checkCompressionStreamSupport(),
 
       // Performance APIs
       performanceObserver: this.checkPerformanceObserverSupport(),
@@ -161,6 +162,10 @@ class EnvironmentDetector {
     return typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
   }
 
+  checkCompressionStreamSupport() {
+    return typeof CompressionStream !== 'undefined'
+  }
+
   checkPerformanceObserverSupport() {
     return typeof PerformanceObserver !== 'undefined'
   }
@@ -0,0 +1,383 @@
+// Frame rendering shared by the live canvas loop and offline exports
+
+import { applyAnimation } from './animations.js'
+import { getTextTiming, getUnitPhase } from './animationTiming.js'
+import { getScrambleCharacter, getTransition, isScrambled } from './transitions.js'
+import { getUnitIndex, getUnitOrder, layoutText } from './textLayout.js'
+import { drawParticles } from './particleSystem.js'
+import { drawMorphText } from './textMorph.js'
+import { applyPostProcessing } from './postProcessing.js'
+import { applyCanvasEffects } from './canvasEffects.js'
+import logger from './logger.js'
+
+const DEFAULT_BACKGROUND = ['#1e293b', '#0f172a']
+
+export const drawBackground = (ctx, config, width, height) => {
+  // Leave the canvas cleared so the output keeps its alpha channel
+  if (config?.colors?.transparentBackground) return
+
+  const gradient = ctx.createLinearGradient(0, 0, width, height)
+
+  if (config?.colors?.background) {
+    gradient.addColorStop(0, config.colors.background)
+    gradient.addColorStop(1, config.colors.secondary || config.colors.background)
+  } else {
+    gradient.addColorStop(0, DEFAULT_BACKGROUND[0])
+    gradient.addColorStop(1, DEFAULT_BACKGROUND[1])
+  }
+
+  ctx.fillStyle = gradient
+  ctx.fillRect(0, 0, width, height)
+}
+
+/**
+ * Group visible glyphs into animation units (config.animation.unit: char,
+ * word, line or whole). Each unit moves as one piece around its own centre.
+ */
+export const getAnimationUnits = (glyphs, unit, fontSize) => {
+  const units = new Map()
+
+  glyphs.forEach((glyph) => {
+    if (!glyph.char.trim()) return // Skip spaces
+
+    const index = getUnitIndex(glyph, unit)
+    if (!units.has(index)) {
+      units.set(index, { index, glyphs: [] })
+    }
+    units.get(index).glyphs.push(glyph)
+  })
+
+  return Array.from(units.values()).map((group) => {
+    const left = Math.min(...group.glyphs.map(g => g.x - g.width / 2))
+    const right = Math.max(...group.glyphs.map(g => g.x + g.width / 2))
+    const top = Math.min(...group.glyphs.map(g => g.y)) - fontSize / 2
+    const bottom = Math.max(...group.glyphs.map(g => g.y)) + fontSize / 2
+
+    return {
+      index: group.index,
+      order: getUnitOrder(group.glyphs[0], unit),
+      glyphs: group.glyphs,
+      x: (left + right) / 2,
+      y: (top + bottom) / 2,
+      width: right - left,
+      height: bottom - top
+    }
+  })
+}
+
+// Glyphs laid out along a path are turned to its tangent
+const fillGlyph = (ctx, char, x, y, angle) => {
+  if (!angle) {
+    ctx.fillText(char, x, y)
+    return
+  }
+  ctx.save()
+  ctx.translate(x, y)
+  ctx.rotate(angle)
+  ctx.fillText(char, 0, 0)
+  ctx.restore()
+}
+
+/**
+ * Where every visible unit is at `elapsed` ms into the animation cycle.
+ * Units are hidden before their intro and after their outro, run the
+ * looping animation type on their own clock throughout, and add the
+ * entrance / exit transition while entering and leaving. Each state has the
+ * unit, its moved centre, rotation, scale, opacity, blur and the characters
+ * to draw (scrambled ones substituted). The 2D and 3D renderers share it.
+ */
+export const getUnitStates = (units, text, config, elapsed, { width, height, fontSize }) => {
+  const timing = getTextTiming(text, config)
+  const states = []
+
+  units.forEach((unit) => {
+    const { phase, progress, localTime } = getUnitPhase(timing, unit.order, elapsed)
+    if (phase === 'before' || phase === 'after') return
+
+    const motion = applyAnimation(
+      config?.animation?.type,
+      localTime,
+      unit.index,
+      { seed: config?.seed, timeline: config?.timeline }
+    )
+
+    // Entrance and exit transitions layer on top of the looping motion
+    const transition = getTransition(phase, config, progress, {
+      x: unit.x,
+      y: unit.y,
+      width: unit.width,
+      height: unit.height,
+      sceneWidth: width,
+      sceneHeight: height,
+      fontSize
+    })
+
+    const scramble = transition.scramble || 0
+    states.push({
+      unit,
+      glyphs: unit.glyphs,
+      x: unit.x + motion.x + (transition.x || 0),
+      y: unit.y + motion.y + (transition.y || 0),
+      rotation: motion.rotation + (transition.rotation || 0),
+      scale: motion.scale * (transition.scale ?? 1),
+      // Overshooting easings can push opacity outside 0–1, which canvas would ignore
+      opacity: Math.max(0, Math.min(1, motion.opacity * (transition.opacity ?? 1))),
+      blur: transition.blur || 0,
+      chars: unit.glyphs.map((glyph, position) => (
+        isScrambled(scramble, position, unit.glyphs.length)
+          ? getScrambleCharacter(config?.seed, glyph.index, elapsed)
+          : glyph.char
+      ))
+    })
+  })
+
+  return states
+}
+
+// Units at rest, for the static preview
+const getRestingStates = (units) => units.map(unit => ({
+  unit,
+  glyphs: unit.glyphs,
+  x: unit.x,
+  y: unit.y,
+  rotation: 0,
+  scale: 1,
+  opacity: 1,
+  blur: 0,
+  chars: unit.glyphs.map(glyph => glyph.char)
+}))
+
+let scene3D = null
+
+/**
+ * Load what config needs before rendering: the 3D text module and its font
+ * when config.scene3d is enabled. Resolves to whether 3D text is available;
+ * without it (no WebGL, font failed to load) frames fall back to 2D text.
+ */
+export const prepareRenderer = async (config) => {
+  if (!config?.scene3d?.enabled) return false
+
+  try {
+    scene3D = scene3D || await import('./textScene3D.js')
+    await scene3D.loadSceneFont(config.scene3d.font)
+    return true
+  } catch (error) {
+    logger.warn('3D text unavailable, using 2D text:', error)
+    return false
+  }
+}
+
+/**
+ * Render the states as 3D text over the frame. Returns false when 3D text is
+ * off or not ready, so the caller draws 2D text instead.
+ */
+const drawTextScene = (ctx, states, config, elapsed, { width, height, fontSize }) => {
+  if (!config?.scene3d?.enabled || !scene3D) return false
+  if (!scene3D.canRenderText(states.flatMap(state => state.chars), config.scene3d.font)) return false
+
+  try {
+    const glCanvas = scene3D.renderTextScene(states, config, {
+      elapsed,
+      width,
+      height,
+      pixelWidth: ctx.canvas?.width || width,
+      pixelHeight: ctx.canvas?.height || height,
+      fontSize
+    })
+    ctx.drawImage(glCanvas, 0, 0, width, height)
+    return true
+  } catch (error) {
+    logger.warn('3D text render failed, using 2D text:', error)
+    scene3D = null
+    return false
+  }
+}
+
+/**
+ * Draw the text at `elapsed` ms into the animation cycle: as particles when
+ * config.morph is enabled, as 3D text when config.scene3d is enabled and
+ * prepared, otherwise on the 2D canvas
+ */
+export const drawAnimatedText = (ctx, text, config, elapsed, width, height) => {
+  if (!text || !text.trim()) return
+
+  if (config?.morph?.enabled) {
+    drawMorphText(ctx, text, config, elapsed, width, height)
+    return
+  }
+
+  const { glyphs, fontSize, font } = layoutText(ctx, text, config, width, height)
+  const units = getAnimationUnits(glyphs, config?.animation?.unit, fontSize)
+  const states = getUnitStates(units, text, config, elapsed, { width, height, fontSize })
+
+  if (drawTextScene(ctx, states, config, elapsed, { width, height, fontSize })) return
+
+  ctx.font = font
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+
+  // Apply text effects based on animation type
+  states.forEach(({ unit, x, y, rotation, scale, opacity, blur, chars }) => {
+    ctx.save()
+
+    ctx.translate(x, y)
+    ctx.rotate(rotation)
+    ctx.scale(scale, scale)
+    ctx.globalAlpha = opacity
+
+    if (blur > 0 && 'filter' in ctx) {
+      ctx.filter = `blur(${blur}px)`
+    }
+
+    // Apply glow effect
+    if (config?.effects?.glow) {
+      ctx.shadowColor = config?.colors?.primary || '#8b5cf6'
+      ctx.shadowBlur = 15
+      ctx.shadowOffsetX = 0
+      ctx.shadowOffsetY = 0
+    }
+
+    // Apply gradient text
+    if (config?.effects?.gradient && config?.colors?.primary && config?.colors?.secondary) {
+      const textGradient = ctx.createLinearGradient(-unit.width / 2, -unit.height / 2, unit.width / 2, unit.height / 2)
+      textGradient.addColorStop(0, config.colors.primary)
+      textGradient.addColorStop(1, config.colors.secondary)
+      ctx.fillStyle = textGradient
+    } else {
+      ctx.fillStyle = config?.colors?.primary || '#ffffff'
+    }
+
+    // Draw the unit's characters relative to its centre
+    unit.glyphs.forEach((glyph, position) => {
+      fillGlyph(ctx, chars[position], glyph.x - unit.x, glyph.y - unit.y, glyph.angle)
+    })
+    ctx.restore()
+  })
+}
+
+/**
+ * Draw the laid-out text without motion, with one gradient across the block
+ */
+export const drawStaticText = (ctx, text, config, width, height) => {
+  if (!text || !text.trim()) return
+
+  if (config?.morph?.enabled) {
+    drawMorphText(ctx, text, config, 0, width, height, { resting: true })
+    return
+  }
+
+  const { glyphs, fontSize, font } = layoutText(ctx, text, config, width, height)
+  const units = getAnimationUnits(glyphs, config?.animation?.unit, fontSize)
+  if (drawTextScene(ctx, getRestingStates(units), config, 0, { width, height, fontSize })) return
+
+  ctx.save()
+  ctx.font = font
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+
+  // Apply glow effect
+  if (config?.effects?.glow) {
+    ctx.shadowColor = config?.colors?.primary || '#8b5cf6'
+    ctx.shadowBlur = 15
+    ctx.shadowOffsetX = 0
+    ctx.shadowOffsetY = 0
+  }
+
+  // Apply gradient text
+  if (config?.effects?.gradient && config?.colors?.primary && config?.colors?.secondary) {
+    const left = Math.min(...glyphs.map(g => g.x - g.width / 2))
+    const right = Math.max(...glyphs.map(g => g.x + g.width / 2))
+    const top = Math.min(...glyphs.map(g => g.y)) - fontSize / 2
+    const bottom = Math.max(...glyphs.map(g => g.y)) + fontSize / 2
+    const textGradient = ctx.createLinearGradient(left, top, right, bottom)
+    textGradient.addColorStop(0, config.colors.primary)
+    textGradient.addColorStop(1, config.colors.secondary)
+    ctx.fillStyle = textGradient
+  } else {
+    ctx.fillStyle = config?.colors?.primary || '#ffffff'
+  }
+
+  glyphs.forEach(({ char, x, y, angle }) => {
+    if (char.trim()) fillGlyph(ctx, char, x, y, angle)
+  })
+  ctx.restore()
+}
+
+/**
+ * Run the frame effects over everything drawn so far: the WebGL stage when it
+ * is available, otherwise the 2D blur and distortion
+ */
+export const applyFrameEffects = (ctx, config, time = 0) => {
+  if (!applyPostProcessing(ctx, config, time)) {
+    applyCanvasEffects(ctx, config, time)
+  }
+}
+
+/**
+ * Draw one animation frame: background, particles, text and post effects.
+ * `elapsed` is the speed-scaled animation time in milliseconds; it wraps
+ * at the end of each cycle so playback repeats and exports loop cleanly.
+ */
+export const drawAnimationFrame = (ctx, { text, config, elapsed, width, height }) => {
+  const cycleTime = elapsed % getTextTiming(text, config).total
+
+  ctx.clearRect(0, 0, width, height)
+
+  drawBackground(ctx, config, width, height)
+
+  if (config?.effects?.particles) {
+    drawParticles(ctx, config, cycleTime, width, height, text)
+  }
+
+  drawAnimatedText(ctx, text, config, cycleTime, width, height)
+
+  applyFrameEffects(ctx, config, cycleTime)
+}
+
+/**
+ * Deterministic offline renderer: draws exactly the frame at `timeMs` into
+ * `target` (a canvas, OffscreenCanvas or 2D context). `width` and `height`
+ * are the scene dimensions; the frame is scaled to fill the target's pixels,
+ * so the same scene can be rendered at any output resolution.
+ */
+export const renderFrame = (target, text, config, timeMs, width, height) => {
+  const ctx = typeof target.getContext === 'function' ? target.getContext('2d') : target
+  if (!ctx) {
+    throw new Error('Unable to get 2D context for frame rendering')
+  }
+
+  const { canvas } = ctx
+
+  ctx.save()
+  ctx.setTransform(canvas.width / width, 0, 0, canvas.height / height, 0, 0)
+  drawAnimationFrame(ctx, {
+    text,
+    config,
+    elapsed: timeMs * (config?.animation?.speed || 1),
+    width,
+    height
+  })
+  ctx.restore()
+
+  return ctx
+}
+
+/**
+ * Time (ms, as passed to renderFrame) at which every unit has finished its
+ * entrance: the frame to export when playback is paused, and the first frame
+ * of animated exports so still previews of them show the text
+ */
+export const getRestingTime = (text, config) => {
+  const timing = getTextTiming(text, config)
+  // Rounded up so scaling back by speed can't land just short of it
+  return Math.ceil((timing.outroStart - timing.hold) / (config?.animation?.speed || 1))
+}
+
+/**
+ * Timestamps (ms) of every frame when stepping `durationMs` at a fixed fps
+ */
+export const getFrameTimes = (durationMs, fps) => {
+  const frameDuration = 1000 / fps
+  const frameCount = Math.max(1, Math.round(durationMs / frameDuration))
+  return Array.from({ length: frameCount }, (_, i) => i * frameDuration)
+}
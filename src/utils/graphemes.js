@@ -0,0 +1,68 @@
+// Grapheme-aware text splitting so each visible character animates as one unit
+
+// Marks, variation selectors, keycaps and skin-tone modifiers extend the previous character
+const EXTEND = /^[\p{M}\p{Emoji_Modifier}\u200C\u{E0020}-\u{E007F}]$/u
+const ZWJ = '\u200D'
+const REGIONAL_INDICATOR = /^\p{Regional_Indicator}$/u
+const PICTOGRAPHIC = /^\p{Extended_Pictographic}$/u
+// A cluster ending in pictograph (+ modifiers) + ZWJ continues with the next pictograph (GB11)
+const EMOJI_ZWJ_END = /\p{Extended_Pictographic}[\p{M}\p{Emoji_Modifier}\u{E0020}-\u{E007F}]*\u200D$/u
+const LETTER = /^\p{L}$/u
+
+// Viramas that join the next consonant into a conjunct (Unicode 15.1 GB9c)
+const CONJUNCT_LINKERS = new Set(['\u094D', '\u09CD', '\u0ACD', '\u0B4D', '\u0C4D', '\u0D4D'])
+
+let segmenter = null
+if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+  segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+}
+
+/**
+ * Approximation of extended grapheme clusters for engines without
+ * Intl.Segmenter: handles surrogate pairs, combining marks, ZWJ emoji
+ * sequences, flags, CRLF and Indic conjuncts.
+ */
+export const splitGraphemesFallback = (text) => {
+  const clusters = []
+  let regionalCount = 0
+
+  for (const codePoint of text) {
+    const last = clusters.length - 1
+    const previous = last >= 0 ? clusters[last] : ''
+    const previousChar = previous ? Array.from(previous).pop() : ''
+
+    const joinsPrevious = previous && (
+      EXTEND.test(codePoint) ||
+      codePoint === ZWJ ||
+      (PICTOGRAPHIC.test(codePoint) && EMOJI_ZWJ_END.test(previous)) ||
+      (CONJUNCT_LINKERS.has(previousChar) && LETTER.test(codePoint)) ||
+      (previousChar === '\r' && codePoint === '\n') ||
+      (REGIONAL_INDICATOR.test(codePoint) && regionalCount % 2 === 1)
+    )
+
+    regionalCount = REGIONAL_INDICATOR.test(codePoint) ? regionalCount + 1 : 0
+
+    if (joinsPrevious) {
+      clusters[last] += codePoint
+    } else {
+      clusters.push(codePoint)
+    }
+  }
+
+  return clusters
+}
+
+/**
+ * Split text into user-perceived characters (grapheme clusters)
+ */
+export const splitGraphemes = (text) => {
+  if (!text) return []
+
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), ({ segment }) => segment)
+  }
+
+  return splitGraphemesFallback(text)
+}
+
+export const countGraphemes = (text) => splitGraphemes(text).length
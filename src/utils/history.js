@@ -0,0 +1,66 @@
+// Undo/redo history of { text, config } snapshots. Histories are plain
+// objects, { entries: [{ state, label, time }], index }, and every function
+// returns a new one.
+
+export const MAX_HISTORY = 50
+// Edits with the same label this close together (a slider drag, a typed word)
+// are merged into one entry
+export const COALESCE_MS = 1000
+
+const configSectionLabels = {
+  font: 'Typography',
+  animation: 'Animation',
+  colors: 'Colors',
+  effects: 'Effects',
+  effectIntensity: 'Effect intensity',
+  layout: 'Layout',
+  timing: 'Timing',
+  timeline: 'Timeline',
+  scene3d: '3D text',
+  particles: 'Particles',
+  morph: 'Particle morph'
+}
+
+export const createHistory = (state, label = 'Start') => ({
+  entries: [{ state, label, time: Date.now() }],
+  index: 0
+})
+
+/**
+ * Add `state` after the current entry, dropping any redo entries. Merges it
+ * into the current entry instead when that is the newest one, has the same
+ * label and was made within COALESCE_MS.
+ */
+export const pushHistory = (history, state, label, time = Date.now()) => {
+  const current = history.entries[history.index]
+  const isNewest = history.index === history.entries.length - 1
+  if (isNewest && history.index > 0 && current.label === label && time - current.time < COALESCE_MS) {
+    const entries = [...history.entries]
+    entries[history.index] = { state, label, time }
+    return { entries, index: history.index }
+  }
+
+  const entries = [...history.entries.slice(0, history.index + 1), { state, label, time }].slice(-MAX_HISTORY)
+  return { entries, index: entries.length - 1 }
+}
+
+/**
+ * Move to entry `index`, clamped to the history
+ */
+export const moveHistory = (history, index) => ({
+  ...history,
+  index: Math.max(0, Math.min(history.entries.length - 1, index))
+})
+
+export const canUndo = (history) => history.index > 0
+export const canRedo = (history) => history.index < history.entries.length - 1
+
+/**
+ * History label for a config edit, from the sections that changed:
+ * "Colors", "Effects & Particles", or "Settings" for anything else
+ */
+export const describeConfigChange = (previous, next) => {
+  const changed = Object.keys(configSectionLabels)
+    .filter(key => JSON.stringify(previous?.[key]) !== JSON.stringify(next?.[key]))
+  return changed.length ? changed.map(key => configSectionLabels[key]).join(' & ') : 'Settings'
+}
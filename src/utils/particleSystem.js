@@ -0,0 +1,208 @@
+// Canvas particle system: emitters, shapes and simple physics. Every
+// particle's state is a pure function of time, the seed and its index, so
+// exports match the live preview frame for frame.
+
+import { hashRandom } from './random.js'
+import { layoutText } from './textLayout.js'
+import { sampleTextPoints } from './textSampler.js'
+
+// Particle motion is expressed in 60fps steps so exports match the live preview
+const PARTICLE_STEP_MS = 1000 / 60
+const PARTICLE_MAX_LIFE = 200
+
+// config.particles.speed 1 moves this many scene pixels per second
+const BASE_SPEED = 30
+const OUTLINE_SPACING = 3
+
+export const defaultParticles = {
+  count: 30,
+  size: 2,
+  speed: 1,
+  opacity: 0.5,
+  colors: [],
+  emitter: 'canvas',
+  shape: 'circle',
+  gravity: 0,
+  wind: 0
+}
+
+const wrap = (value, size) => ((value % size) + size) % size
+
+/**
+ * Each emitter places particle `index` of `generation` and gives it a
+ * velocity in units of config.particles.speed. `random(k)` is a stable
+ * random number for the particle, generation and slot `k`; `scene` has the
+ * scene size and, when `needsText` is set, the text's glyphs and points.
+ */
+export const particleEmitters = {
+  canvas: {
+    name: 'Full Canvas',
+    wraps: true,
+    emit: (random, { width, height }) => ({
+      x: random(0) * width,
+      y: random(1) * height,
+      vx: random(2) - 0.5,
+      vy: random(3) - 0.5
+    })
+  },
+  outline: {
+    name: 'Text Outline',
+    needsText: true,
+    emit: (random, { points }) => {
+      const point = points[Math.floor(random(0) * points.length)]
+      const angle = random(2) * Math.PI * 2
+      return {
+        x: point.x,
+        y: point.y,
+        vx: Math.cos(angle) * 0.3,
+        vy: Math.sin(angle) * 0.3
+      }
+    }
+  },
+  burst: {
+    name: 'Letter Burst',
+    needsText: true,
+    emit: (random, { glyphs }) => {
+      const glyph = glyphs[Math.floor(random(0) * glyphs.length)]
+      const angle = random(2) * Math.PI * 2
+      const speed = 1 + random(3) * 2
+      return {
+        x: glyph.x,
+        y: glyph.y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed
+      }
+    }
+  }
+}
+
+const drawStar = (ctx, size, points, innerRatio) => {
+  ctx.beginPath()
+  for (let i = 0; i < points * 2; i++) {
+    const radius = i % 2 === 0 ? size : size * innerRatio
+    const angle = (i * Math.PI) / points - Math.PI / 2
+    ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius)
+  }
+  ctx.closePath()
+  ctx.fill()
+}
+
+/**
+ * Shapes draw one particle centred on the origin; the context is already
+ * translated, rotated and coloured
+ */
+export const particleShapes = {
+  circle: {
+    name: 'Circle',
+    draw: (ctx, { size }) => {
+      ctx.beginPath()
+      ctx.arc(0, 0, size, 0, Math.PI * 2)
+      ctx.fill()
+    }
+  },
+  star: {
+    name: 'Star',
+    draw: (ctx, { size }) => drawStar(ctx, size * 2, 5, 0.45)
+  },
+  sparkle: {
+    name: 'Sparkle',
+    // Four-point glint that twinkles over its life
+    draw: (ctx, { size, twinkle }) => drawStar(ctx, size * (1.5 + twinkle * 1.5), 4, 0.2)
+  },
+  confetti: {
+    name: 'Confetti',
+    // Paper strip tumbling end over end
+    draw: (ctx, { size, flip }) => {
+      ctx.scale(1, Math.cos(flip))
+      ctx.fillRect(-size * 1.5, -size * 0.6, size * 3, size * 1.2)
+    }
+  }
+}
+
+/**
+ * Particle settings from config.particles with defaults filled in
+ */
+export const getParticleSettings = (config) => {
+  return { ...defaultParticles, ...config?.particles }
+}
+
+/**
+ * Particle state at a given animation time: position after velocity,
+ * gravity and wind, plus size, opacity, colour and rotation. Each particle
+ * respawns from its emitter whenever its life runs out.
+ */
+export const getParticleAt = (index, elapsed, settings, scene, seed = 0) => {
+  const emitter = particleEmitters[settings.emitter] || particleEmitters.canvas
+  const steps = Math.floor(Math.max(0, elapsed) / PARTICLE_STEP_MS)
+
+  // Lives are offset so particles don't all respawn at once
+  const offset = Math.floor(hashRandom(seed, index, 0, 6) * PARTICLE_MAX_LIFE)
+  const generation = Math.floor((steps + offset) / PARTICLE_MAX_LIFE)
+  const age = (steps + offset) % PARTICLE_MAX_LIFE
+
+  const random = (slot) => hashRandom(seed, index, generation, slot)
+  const spawn = emitter.emit(random, scene)
+
+  // Seconds since spawn, with velocities and accelerations in scene px/s
+  const t = (age * PARTICLE_STEP_MS) / 1000
+  const speed = BASE_SPEED * (settings.speed ?? 1)
+  let x = spawn.x + spawn.vx * speed * t + 0.5 * (settings.wind || 0) * t * t
+  let y = spawn.y + spawn.vy * speed * t + 0.5 * (settings.gravity || 0) * t * t
+  if (emitter.wraps) {
+    x = wrap(x, scene.width)
+    y = wrap(y, scene.height)
+  }
+
+  const lifeRatio = age / PARTICLE_MAX_LIFE
+  const colors = settings.colors?.length ? settings.colors : [scene.accent]
+
+  return {
+    x,
+    y,
+    size: (hashRandom(seed, index, 0, 4) * 0.75 + 0.25) * (settings.size ?? 2),
+    // Fade in and out over each life
+    opacity: (settings.opacity ?? 0.5) * (hashRandom(seed, index, generation, 5) * 0.5 + 0.5) * Math.sin(lifeRatio * Math.PI),
+    color: colors[Math.floor(random(7) * colors.length)],
+    rotation: random(8) * Math.PI * 2 + (random(9) - 0.5) * 6 * t,
+    flip: random(10) * Math.PI + 8 * t,
+    twinkle: 0.5 + 0.5 * Math.sin(elapsed * 0.005 + index * 0.5)
+  }
+}
+
+/**
+ * Draw config.particles at `elapsed` ms behind the text
+ */
+export const drawParticles = (ctx, config, elapsed, width, height, text = '') => {
+  const settings = getParticleSettings(config)
+  const emitter = particleEmitters[settings.emitter] || particleEmitters.canvas
+  const shape = particleShapes[settings.shape] || particleShapes.circle
+  const scene = { width, height, accent: config?.colors?.accent || '#8b5cf6' }
+
+  // Text emitters need something to emit from
+  if (emitter.needsText) {
+    if (!text || !text.trim()) return
+    scene.glyphs = layoutText(ctx, text, config, width, height).glyphs.filter(glyph => glyph.char.trim())
+    scene.points = settings.emitter === 'outline'
+      ? sampleTextPoints(text, config, width, height, { spacing: OUTLINE_SPACING, edges: true })
+      : []
+    if (scene.glyphs.length === 0) return
+    if (settings.emitter === 'outline' && scene.points.length === 0) {
+      // No canvas to sample in; glyph centres are the next best outline
+      scene.points = scene.glyphs
+    }
+  }
+
+  const count = Math.max(0, Math.round(settings.count))
+  for (let index = 0; index < count; index++) {
+    const particle = getParticleAt(index, elapsed, settings, scene, config?.seed)
+    if (particle.opacity <= 0) continue
+
+    ctx.save()
+    ctx.globalAlpha = Math.min(1, particle.opacity)
+    ctx.fillStyle = particle.color
+    ctx.translate(particle.x, particle.y)
+    ctx.rotate(particle.rotation)
+    shape.draw(ctx, particle)
+    ctx.restore()
+  }
+}
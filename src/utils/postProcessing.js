@@ -0,0 +1,319 @@
+// WebGL post-processing: the finished 2D frame is uploaded as a texture and
+// run through shader passes for wave distortion, chromatic aberration, blur,
+// bloom and CRT scanlines, then drawn back over the frame.
+
+// Effect flags in config.effects and their shader stage; each one's strength
+// (0–1) lives under the same key in config.effectIntensity. `scale` is the
+// effect's size at full strength as a share of the frame, so exports match
+// the preview at any resolution.
+export const postEffects = {
+  distortion: { name: 'Wave Distortion', defaultIntensity: 0.3, scale: 0.015 },
+  chromatic: { name: 'Chromatic Aberration', defaultIntensity: 0.4, scale: 0.012 },
+  blur: { name: 'Blur', defaultIntensity: 0.3, scale: 0.02 },
+  glow: { name: 'Bloom', defaultIntensity: 0.5, scale: 1.5 },
+  scanlines: { name: 'CRT Scanlines', defaultIntensity: 0.5, scale: 1 }
+}
+
+// Wave shape shared with the 2D fallback in canvasEffects.js
+export const WAVE_FREQUENCY = 24
+export const WAVE_SPEED = 0.004
+
+const BLOOM_RADIUS = 0.025
+const BLOOM_THRESHOLD = 0.55
+const SCANLINE_COUNT = 240
+
+const VERTEX_SHADER = `
+attribute vec2 position;
+varying vec2 uv;
+void main() {
+  uv = position * 0.5 + 0.5;
+  gl_Position = vec4(position, 0.0, 1.0);
+}`
+
+const WARP_SHADER = `
+precision mediump float;
+varying vec2 uv;
+uniform sampler2D source;
+uniform float time;
+uniform float wave;
+uniform float chromatic;
+void main() {
+  vec2 p = uv;
+  p.x += sin(p.y * ${WAVE_FREQUENCY.toFixed(1)} + time * ${WAVE_SPEED}) * wave;
+  p.y += cos(p.x * 18.0 + time * 0.003) * wave * 0.5;
+  vec2 offset = (p - 0.5) * chromatic;
+  vec4 center = texture2D(source, p);
+  vec4 red = texture2D(source, p + offset);
+  vec4 blue = texture2D(source, p - offset);
+  gl_FragColor = vec4(red.r, center.g, blue.b, max(center.a, max(red.a, blue.a)));
+}`
+
+// Nine-tap gaussian using linear filtering between texel pairs
+const BLUR_SHADER = `
+precision mediump float;
+varying vec2 uv;
+uniform sampler2D source;
+uniform vec2 direction;
+void main() {
+  vec2 near = direction * 1.3846153846;
+  vec2 far = direction * 3.2307692308;
+  vec4 sum = texture2D(source, uv) * 0.2270270270;
+  sum += (texture2D(source, uv + near) + texture2D(source, uv - near)) * 0.3162162162;
+  sum += (texture2D(source, uv + far) + texture2D(source, uv - far)) * 0.0702702703;
+  gl_FragColor = sum;
+}`
+
+const BRIGHT_SHADER = `
+precision mediump float;
+varying vec2 uv;
+uniform sampler2D source;
+uniform float threshold;
+void main() {
+  vec4 color = texture2D(source, uv);
+  float luminance = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+  gl_FragColor = color * smoothstep(threshold, 1.0, luminance);
+}`
+
+const COMPOSITE_SHADER = `
+precision mediump float;
+varying vec2 uv;
+uniform sampler2D source;
+uniform sampler2D bloom;
+uniform float bloomStrength;
+uniform float scanlines;
+uniform float lineCount;
+void main() {
+  vec4 color = texture2D(source, uv) + texture2D(bloom, uv) * bloomStrength;
+  if (scanlines > 0.0) {
+    float line = 0.5 + 0.5 * sin(uv.y * lineCount * 6.2831853);
+    vec2 edge = uv - 0.5;
+    color.rgb *= (1.0 - scanlines * 0.6 * (1.0 - line)) * (1.0 - scanlines * dot(edge, edge) * 1.5);
+  }
+  color.a = min(1.0, max(color.a, max(color.r, max(color.g, color.b))));
+  gl_FragColor = vec4(min(color.rgb, vec3(color.a)), color.a);
+}`
+
+let state = null
+let unavailable = false
+
+const compileProgram = (gl, fragmentSource) => {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type)
+    gl.shaderSource(shader, source)
+    gl.compileShader(shader)
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`)
+    }
+    return shader
+  }
+
+  const program = gl.createProgram()
+  gl.attachShader(program, compile(gl.VERTEX_SHADER, VERTEX_SHADER))
+  gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource))
+  gl.bindAttribLocation(program, 0, 'position')
+  gl.linkProgram(program)
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`)
+  }
+
+  const uniforms = {}
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS)
+  for (let i = 0; i < count; i++) {
+    const { name } = gl.getActiveUniform(program, i)
+    uniforms[name] = gl.getUniformLocation(program, name)
+  }
+  return { program, uniforms }
+}
+
+const createTexture = (gl) => {
+  const texture = gl.createTexture()
+  gl.bindTexture(gl.TEXTURE_2D, texture)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+  return texture
+}
+
+const createTarget = (gl, width, height) => {
+  const texture = createTexture(gl)
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null)
+  const framebuffer = gl.createFramebuffer()
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0)
+  return { texture, framebuffer, width, height }
+}
+
+const createState = () => {
+  const canvas = typeof document !== 'undefined'
+    ? document.createElement('canvas')
+    : new OffscreenCanvas(1, 1)
+  const gl = canvas.getContext('webgl', { alpha: true, premultipliedAlpha: true, preserveDrawingBuffer: true, antialias: false })
+  if (!gl) throw new Error('WebGL is not available')
+
+  canvas.addEventListener?.('webglcontextlost', () => {
+    state = null
+  })
+
+  const quad = gl.createBuffer()
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad)
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW)
+  gl.enableVertexAttribArray(0)
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+  // Bloom samples this when the effect is off
+  const blank = createTexture(gl)
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4))
+
+  return {
+    gl,
+    canvas,
+    source: createTexture(gl),
+    blank,
+    targets: [],
+    programs: {
+      warp: compileProgram(gl, WARP_SHADER),
+      blur: compileProgram(gl, BLUR_SHADER),
+      bright: compileProgram(gl, BRIGHT_SHADER),
+      composite: compileProgram(gl, COMPOSITE_SHADER)
+    }
+  }
+}
+
+const resize = (width, height) => {
+  const { gl, canvas } = state
+  if (canvas.width === width && canvas.height === height && state.targets.length) return
+
+  canvas.width = width
+  canvas.height = height
+  state.targets.forEach(({ texture, framebuffer }) => {
+    gl.deleteTexture(texture)
+    gl.deleteFramebuffer(framebuffer)
+  })
+  state.targets = Array.from({ length: 3 }, () => createTarget(gl, width, height))
+}
+
+// Draw a full-screen pass into `target` (or the canvas when null)
+const runPass = (name, inputs, uniforms, target) => {
+  const { gl, programs, canvas } = state
+  const { program, uniforms: locations } = programs[name]
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null)
+  gl.viewport(0, 0, canvas.width, canvas.height)
+  gl.useProgram(program)
+
+  Object.entries(inputs).forEach(([uniform, texture], unit) => {
+    gl.activeTexture(gl.TEXTURE0 + unit)
+    gl.bindTexture(gl.TEXTURE_2D, texture)
+    gl.uniform1i(locations[uniform], unit)
+  })
+  Object.entries(uniforms).forEach(([uniform, value]) => {
+    if (Array.isArray(value)) gl.uniform2fv(locations[uniform], value)
+    else gl.uniform1f(locations[uniform], value)
+  })
+
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4)
+}
+
+// Separable gaussian of `texture` with roughly `radius` pixels of spread
+const blurPass = (texture, radius, [first, second]) => {
+  const { width, height } = state.canvas
+  const spacing = Math.max(1, radius / 4)
+  runPass('blur', { source: texture }, { direction: [spacing / width, 0] }, first)
+  runPass('blur', { source: first.texture }, { direction: [0, spacing / height] }, second)
+  return second.texture
+}
+
+/**
+ * Strength (0–1) of an effect in config, 0 when its flag is off
+ */
+export const getEffectIntensity = (config, effect) => {
+  if (!config?.effects?.[effect]) return 0
+  const value = config?.effectIntensity?.[effect] ?? postEffects[effect].defaultIntensity
+  return Math.max(0, Math.min(1, value))
+}
+
+// Strength times the effect's full-strength size
+const getEffectSize = (config, effect) => getEffectIntensity(config, effect) * postEffects[effect].scale
+
+/**
+ * Whether any post-processing effect is switched on in config
+ */
+export const hasPostEffects = (config) => {
+  return Object.keys(postEffects).some(effect => getEffectIntensity(config, effect) > 0)
+}
+
+/**
+ * Run the enabled effects over everything drawn on `ctx` so far and replace
+ * the frame with the result. `time` (ms) drives the wave. Returns false when
+ * nothing was applied: no effects are on, or WebGL is unavailable.
+ */
+export const applyPostProcessing = (ctx, config, time = 0) => {
+  if (unavailable || !hasPostEffects(config)) return false
+
+  try {
+    if (!state) state = createState()
+  } catch (error) {
+    unavailable = true
+    return false
+  }
+
+  const source = ctx.canvas
+  const { gl } = state
+  resize(source.width, source.height)
+  const [a, b, c] = state.targets
+  const height = source.height
+
+  gl.activeTexture(gl.TEXTURE0)
+  gl.bindTexture(gl.TEXTURE_2D, state.source)
+  gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true)
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true)
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source)
+
+  let current = state.source
+  let free = [a, b, c]
+
+  const wave = getEffectSize(config, 'distortion')
+  const chromatic = getEffectSize(config, 'chromatic')
+  if (wave > 0 || chromatic > 0) {
+    runPass('warp', { source: current }, { time, wave, chromatic }, a)
+    current = a.texture
+    free = [b, c]
+  }
+
+  const blur = getEffectSize(config, 'blur') * height
+  if (blur > 0) {
+    // Ping-pong through the targets that aren't holding the current image
+    const [first, second] = free.length === 2 ? [b, c] : [b, a]
+    current = blurPass(current, blur, [first, second])
+    free = [a, b, c].filter(target => target.texture !== current)
+  }
+
+  const bloomStrength = getEffectSize(config, 'glow')
+  let bloom = state.blank
+  if (bloomStrength > 0) {
+    const [first, second] = free
+    runPass('bright', { source: current }, { threshold: BLOOM_THRESHOLD }, first)
+    bloom = blurPass(first.texture, BLOOM_RADIUS * height, [second, first])
+  }
+
+  runPass('composite', { source: current, bloom }, {
+    bloomStrength,
+    scanlines: getEffectSize(config, 'scanlines'),
+    lineCount: SCANLINE_COUNT
+  }, null)
+
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.globalCompositeOperation = 'copy'
+  ctx.drawImage(state.canvas, 0, 0)
+  ctx.restore()
+  return true
+}
+
+/**
+ * Default strength of every post effect, for config.effectIntensity
+ */
+export const getDefaultIntensities = () => {
+  return Object.fromEntries(Object.entries(postEffects).map(([id, { defaultIntensity }]) => [id, defaultIntensity]))
+}
@@ -0,0 +1,114 @@
+// Project files: text, design config, seed and canvas size saved as a
+// versioned JSON document, migrated forward when opened
+
+import { generateRandomConfig, mergeConfigs } from './animationConfig.js'
+import { sanitizeConfig } from './configSchema.js'
+import { MAX_SEED } from './random.js'
+
+export const PROJECT_FORMAT = 'namelistica-project'
+export const PROJECT_VERSION = 1
+export const PROJECT_EXTENSION = '.namelistica.json'
+
+/**
+ * Upgrades keyed by the version they upgrade from: migrations[n] takes a
+ * version n document and returns a version n + 1 one. Sections added to the
+ * config are filled in from the seed when a project is opened, so only
+ * renames and reshapes need an entry here.
+ */
+const migrations = {}
+
+/**
+ * Project document for the current text and config. `canvas` is the preview
+ * size the design was made at.
+ */
+export const createProject = (text, config, canvas = null) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  savedAt: new Date().toISOString(),
+  text,
+  seed: config.seed,
+  canvas: canvas ? { width: Math.round(canvas.width), height: Math.round(canvas.height) } : null,
+  config
+})
+
+export const serializeProject = (project) => JSON.stringify(project, null, 2)
+
+/**
+ * Bring a parsed document up to PROJECT_VERSION. Throws for documents that
+ * aren't projects or were saved by a newer version of the app.
+ */
+export const migrateProject = (data) => {
+  if (!data || typeof data !== 'object' || data.format !== PROJECT_FORMAT) {
+    throw new Error('Not a Namelistica project file')
+  }
+
+  const version = Number(data.version)
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown project version: ${data.version}`)
+  }
+  if (version > PROJECT_VERSION) {
+    throw new Error(`Project was saved by a newer version of Namelistica (v${version})`)
+  }
+
+  let project = data
+  for (let v = version; v < PROJECT_VERSION; v++) {
+    if (!migrations[v]) throw new Error(`No migration from project version ${v}`)
+    project = { ...migrations[v](project), version: v + 1 }
+  }
+  return project
+}
+
+const isSeed = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_SEED
+
+/**
+ * Read a project document into { text, config, seed, canvas, errors }. The
+ * config is laid over the design generated from the project's seed, so
+ * settings added since the project was saved get the values that seed gives,
+ * and is then repaired by sanitizeConfig; `errors` lists what was repaired.
+ */
+export const readProject = (data) => {
+  const project = migrateProject(data)
+  const config = project.config
+  if (typeof project.text !== 'string' || !config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Project file is missing its text or config')
+  }
+
+  const seed = [project.seed, config.seed].find(isSeed)
+  const merged = mergeConfigs(generateRandomConfig(seed), seed === undefined ? config : { ...config, seed })
+  const { config: sanitized, errors } = sanitizeConfig(merged)
+
+  return {
+    text: project.text,
+    config: sanitized,
+    seed: sanitized.seed,
+    canvas: project.canvas || null,
+    errors
+  }
+}
+
+/**
+ * Parse a project file's contents; see readProject
+ */
+export const parseProject = (json) => {
+  let data
+  try {
+    data = JSON.parse(json)
+  } catch (error) {
+    throw new Error('Project file is not valid JSON')
+  }
+  return readProject(data)
+}
+
+/**
+ * File name for a project, from its text: "Hello World" -> hello-world.namelistica.json
+ */
+export const getProjectFilename = (text) => {
+  const slug = String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+  return `${slug || 'namelistica'}${PROJECT_EXTENSION}`
+}
@@ -0,0 +1,73 @@
+// Local project library in IndexedDB. Each record holds a project document
+// (see projectFile.js) plus its thumbnail, so stored projects go through the
+// same migrations as opened files.
+
+const DB_NAME = 'namelistica'
+const DB_VERSION = 1
+const STORE = 'projects'
+
+let dbPromise = null
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' })
+        store.createIndex('updatedAt', 'updatedAt')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => reject(new Error('Project library is open in an older tab'))
+    })
+    // Let a later call retry after a failure
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase()
+  return promisify(action(db.transaction(STORE, mode).objectStore(STORE)))
+}
+
+export const createProjectId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+)
+
+/**
+ * Display name of a stored project: its own name, else its text's first line
+ */
+export const getProjectName = (record) => (
+  record.name || record.project?.text?.split('\n')[0].trim() || 'Untitled'
+)
+
+/**
+ * All stored projects, most recently updated first. Records are
+ * { id, name, project, thumbnail, createdAt, updatedAt }; `name` is null
+ * until the project is renamed.
+ */
+export const listProjects = async () => {
+  const records = await withStore('readonly', store => store.getAll())
+  return records.sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export const getProject = (id) => withStore('readonly', store => store.get(id))
+
+export const putProject = async (record) => {
+  await withStore('readwrite', store => store.put(record))
+  return record
+}
+
+export const deleteProject = (id) => withStore('readwrite', store => store.delete(id))
@@ -0,0 +1,55 @@
+// Seedable randomness so a design can be reproduced from its seed
+
+export const MAX_SEED = 0xffffffff
+
+/**
+ * Create a PRNG (mulberry32) returning floats in [0, 1), like Math.random
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Stable pseudo-random value in [0, 1) for a tuple of integers.
+ * Replaces Math.random() wherever a frame must be reproducible.
+ */
+export const hashRandom = (...values) => {
+  let h = 0x811c9dc5
+  for (const value of values) {
+    h = Math.imul(h ^ (value | 0), 0x01000193)
+    h ^= h >>> 15
+    h = Math.imul(h, 0x2c1b3c6d)
+    h ^= h >>> 12
+  }
+  return (h >>> 0) / 4294967296
+}
+
+export const generateSeed = () => {
+  return Math.floor(Math.random() * MAX_SEED)
+}
+
+/**
+ * Turn user input into a seed: whole numbers are used as-is, any other
+ * text (e.g. "sunset") is hashed. Returns null for empty input.
+ */
+export const parseSeed = (input) => {
+  const value = String(input ?? '').trim()
+  if (!value) return null
+
+  if (/^\d+$/.test(value)) {
+    return Number(value) % (MAX_SEED + 1)
+  }
+
+  let h = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    h = Math.imul(h ^ value.charCodeAt(i), 0x01000193)
+  }
+  return h >>> 0
+}
@@ -0,0 +1,133 @@
+// Share links: text and config as a project document (see projectFile.js),
+// deflated and base64url-encoded into the URL hash as #design=<version>.<data>
+
+import { formatConfigErrors } from './configSchema.js'
+import { createProject, readProject } from './projectFile.js'
+
+export const SHARE_VERSION = 1
+const HASH_KEY = 'design'
+
+// Limits on what a link may carry, so a crafted one can't stall the page
+const MAX_ENCODED_LENGTH = 32 * 1024
+const MAX_DECODED_BYTES = 256 * 1024
+const MAX_TEXT_LENGTH = 280
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype']
+
+const toBase64Url = (bytes) => {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (value) => {
+  let binary
+  try {
+    if (!/^[A-Za-z0-9_-]+$/.test(value)) throw new Error('Invalid characters')
+    binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'))
+  } catch (error) {
+    throw new Error('Link data is corrupted')
+  }
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+const deflate = async (text) => {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// Stops reading once the output passes MAX_DECODED_BYTES
+const inflate = async (bytes) => {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader()
+  const chunks = []
+  let size = 0
+  for (;;) {
+    let result
+    try {
+      result = await reader.read()
+    } catch (error) {
+      throw new Error('Link data is corrupted')
+    }
+    const { done, value } = result
+    if (done) break
+    size += value.length
+    if (size > MAX_DECODED_BYTES) {
+      await reader.cancel()
+      throw new Error('Link data is too large')
+    }
+    chunks.push(value)
+  }
+  return new TextDecoder().decode(await new Blob(chunks).arrayBuffer())
+}
+
+/**
+ * Encode text and config as the string that follows `#design=`
+ */
+export const encodeDesign = async (text, config) => {
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('CompressionStream is not supported in this browser')
+  }
+  const { format, version, seed } = createProject(text, config)
+  const json = JSON.stringify({ format, version, text, seed, config })
+  return `${SHARE_VERSION}.${toBase64Url(await deflate(json))}`
+}
+
+/**
+ * Decode a string from encodeDesign into { text, config, seed }. Throws with
+ * a readable message for anything malformed, oversized or unsupported.
+ */
+export const decodeDesign = async (encoded) => {
+  if (typeof encoded !== 'string' || encoded.length > MAX_ENCODED_LENGTH) {
+    throw new Error('Link data is missing or too long')
+  }
+
+  const separator = encoded.indexOf('.')
+  const version = Number(encoded.slice(0, separator))
+  if (separator < 1 || !Number.isInteger(version)) throw new Error('Link is not a Namelistica design')
+  if (version > SHARE_VERSION) throw new Error('Link was made by a newer version of Namelistica')
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('DecompressionStream is not supported in this browser')
+  }
+
+  const json = await inflate(fromBase64Url(encoded.slice(separator + 1)))
+  let data
+  try {
+    // Drop keys that could reach object prototypes when the config is spread
+    data = JSON.parse(json, (key, value) => (UNSAFE_KEYS.includes(key) ? undefined : value))
+  } catch (error) {
+    throw new Error('Link data is corrupted')
+  }
+
+  let design
+  try {
+    design = readProject(data)
+  } catch (error) {
+    throw new Error(`Link design is invalid: ${error.message}`)
+  }
+  if (design.text.length > MAX_TEXT_LENGTH) throw new Error('Link text is too long')
+  // Files are repaired, but a link with bad values is refused outright
+  if (design.errors.length) throw new Error(`Link design is invalid: ${formatConfigErrors(design.errors)}`)
+  return { text: design.text, config: design.config, seed: design.seed }
+}
+
+/**
+ * The encoded design in a location hash, or null when there isn't one
+ */
+export const getHashDesign = (hash) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''))
+  return params.get(HASH_KEY)
+}
+
+export const createShareUrl = async (text, config, location = window.location) => (
+  `${location.origin}${location.pathname}${location.search}#${HASH_KEY}=${await encodeDesign(text, config)}`
+)
+
+/**
+ * Remove the design from the address bar without reloading or adding a
+ * history entry
+ */
+export const clearHashDesign = () => {
+  if (!getHashDesign(window.location.hash)) return
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`)
+}
@@ -6,6 +6,10 @@
  */
 
 import { canvasExportSystem } from './canvasExportSystem.js'
+import { getRestingTime, renderFrame } from './frameRenderer.js'
+import { generateRandomConfig } from './animationConfig.js'
+import { sanitizeConfig, validateConfig } from './configSchema.js'
+import { splitGraphemes, splitGraphemesFallback } from './graphemes.js'
 import logger from './logger.js'
 
 // Diagnostic utilities
@@ -147,6 +151,175 @@ const diagnostics = {
         return result
     },
 
+    /**
+     * Render the same frame twice and check the pixels are identical
+     */
+    testDeterministicRender: (text = 'Namelistica', timeMs = 1234) => {
+        logger.info('🎞️ Testing deterministic frame rendering...')
+
+        const config = generateRandomConfig()
+        config.effects.particles = true
+
+        const render = () => {
+            const canvas = document.createElement('canvas')
+            canvas.width = 320
+            canvas.height = 180
+            const ctx = renderFrame(canvas, text, config, timeMs, 640, 360)
+            return ctx.getImageData(0, 0, canvas.width, canvas.height).data
+        }
+
+        const first = render()
+        const second = render()
+        const mismatches = first.reduce((count, value, i) => count + (value !== second[i] ? 1 : 0), 0)
+
+        const testResult = {
+            success: mismatches === 0,
+            animationType: config.animation.type,
+            timeMs,
+            mismatchedBytes: mismatches
+        }
+
+        if (testResult.success) {
+            logger.info('✅ Deterministic render test successful:', testResult)
+        } else {
+            logger.error('❌ Deterministic render test failed:', testResult)
+        }
+        return testResult
+    },
+
+    /**
+     * Check the frame a paused export renders shows the text: it should
+     * differ from the same frame rendered with no text
+     */
+    testPausedExport: (text = 'Namelistica', seeds = [1, 2, 3]) => {
+        logger.info('⏸️ Testing paused export frame...')
+
+        const results = seeds.map((seed) => {
+            const config = generateRandomConfig(seed)
+            config.effects.particles = false
+            const timeMs = getRestingTime(text, config)
+
+            const render = (frameText) => {
+                const canvas = document.createElement('canvas')
+                canvas.width = 320
+                canvas.height = 180
+                const ctx = renderFrame(canvas, frameText, config, timeMs, 640, 360)
+                return ctx.getImageData(0, 0, canvas.width, canvas.height).data
+            }
+
+            const withText = render(text)
+            const withoutText = render('')
+            const textBytes = withText.reduce((count, value, i) => count + (value !== withoutText[i] ? 1 : 0), 0)
+            return { seed, timeMs, textBytes, success: textBytes > 0 }
+        })
+
+        const testResult = {
+            success: results.every(result => result.success),
+            results
+        }
+
+        if (testResult.success) {
+            logger.info('✅ Paused export test successful:', testResult)
+        } else {
+            logger.error('❌ Paused export test failed:', testResult)
+        }
+        return testResult
+    },
+
+    /**
+     * Check grapheme splitting keeps emoji, Indic conjuncts and accented
+     * letters together, with and without Intl.Segmenter
+     */
+    testGraphemes: () => {
+        logger.info('🔤 Testing grapheme splitting...')
+
+        const cases = [
+            { label: 'accented Latin (precomposed)', text: 'Caf\u00e9', expected: ['C', 'a', 'f', '\u00e9'] },
+            { label: 'accented Latin (combining)', text: 'Cafe\u0301', expected: ['C', 'a', 'f', 'e\u0301'] },
+            { label: 'emoji with skin tone', text: 'Hi\u{1F44B}\u{1F3FD}', expected: ['H', 'i', '\u{1F44B}\u{1F3FD}'] },
+            { label: 'ZWJ family emoji', text: '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}!', expected: ['\u{1F468}\u200D\u{1F469}\u200D\u{1F467}', '!'] },
+            { label: 'flags', text: '\u{1F1EF}\u{1F1F5}\u{1F1EB}\u{1F1F7}', expected: ['\u{1F1EF}\u{1F1F5}', '\u{1F1EB}\u{1F1F7}'] },
+            { label: 'ZWJ after a letter', text: 'a\u200Db', expected: ['a\u200D', 'b'] },
+            // Vowel signs only: conjuncts (GB9c) need ICU 74+ in Intl.Segmenter
+            { label: 'Devanagari vowel signs', text: '\u0928\u092E\u0947', expected: ['\u0928', '\u092E\u0947'] }
+        ]
+
+        const results = cases.map(({ label, text, expected }) => {
+            const native = splitGraphemes(text)
+            const fallback = splitGraphemesFallback(text)
+            return {
+                label,
+                native: native.length,
+                fallback: fallback.length,
+                expected: expected.length,
+                success: JSON.stringify(native) === JSON.stringify(expected) &&
+                    JSON.stringify(fallback) === JSON.stringify(expected)
+            }
+        })
+
+        const testResult = {
+            success: results.every(result => result.success),
+            segmenter: typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function',
+            results
+        }
+
+        if (testResult.success) {
+            logger.info('✅ Grapheme splitting test successful:', testResult)
+        } else {
+            logger.error('❌ Grapheme splitting test failed:', testResult)
+        }
+        return testResult
+    },
+
+    /**
+     * Check generated designs pass the config schema, and that broken
+     * configs are reported at the right paths and repaired by sanitizeConfig
+     */
+    testConfigSchema: (seeds = 50) => {
+        logger.info('🧩 Testing config schema...')
+
+        const invalidSeeds = []
+        for (let seed = 0; seed < seeds; seed++) {
+            if (validateConfig(generateRandomConfig(seed)).length) invalidSeeds.push(seed)
+        }
+
+        const base = generateRandomConfig(1)
+        const cases = [
+            { label: 'speed out of range', path: 'animation.speed', change: (c) => { c.animation.speed = 50 } },
+            { label: 'unknown font', path: 'font.family', change: (c) => { c.font.family = 'Comic Sans MS' } },
+            { label: 'bad color', path: 'colors.primary', change: (c) => { c.colors.primary = 'url(evil)' } },
+            { label: 'bad easing', path: 'animation.easing', change: (c) => { c.animation.easing = 'cubic-bezier(2, 0, 0, 1)' } },
+            { label: 'huge particle count', path: 'particles.count', change: (c) => { c.particles.count = 1e9 } },
+            { label: 'missing section', path: 'layout', change: (c) => { delete c.layout } },
+            { label: 'unknown setting', path: 'extra', change: (c) => { c.extra = true } }
+        ]
+
+        const results = cases.map(({ label, path, change }) => {
+            const config = JSON.parse(JSON.stringify(base))
+            change(config)
+            const errors = validateConfig(config)
+            const repaired = sanitizeConfig(config).config
+            return {
+                label,
+                errors: errors.map(error => `${error.path}: ${error.message}`),
+                success: errors.some(error => error.path === path) && validateConfig(repaired).length === 0
+            }
+        })
+
+        const testResult = {
+            success: invalidSeeds.length === 0 && results.every(result => result.success),
+            invalidSeeds,
+            results
+        }
+
+        if (testResult.success) {
+            logger.info('✅ Config schema test successful:', testResult)
+        } else {
+            logger.error('❌ Config schema test failed:', testResult)
+        }
+        return testResult
+    },
+
     /**
      * Run comprehensive PNG export tests
      */
@@ -207,6 +380,10 @@ if (typeof window !== 'undefined') {
         getStats: diagnostics.getStats,
         createTestCanvas: diagnostics.createTestCanvas,
         quickTest: diagnostics.quickTest,
+        testDeterministicRender: diagnostics.testDeterministicRender,
+        testPausedExport: diagnostics.testPausedExport,
+        testGraphemes: diagnostics.testGraphemes,
+        testConfigSchema: diagnostics.testConfigSchema,
 
         // Direct access to export system
         exportSystem: canvasExportSystem,
@@ -224,6 +401,10 @@ if (typeof window !== 'undefined') {
             logger.info('📊 getStats() - Get export system statistics')
             logger.info('🎨 createTestCanvas() - Create a test canvas')
             logger.info('⚡ quickTest() - Quick PNG test with generated canvas')
+            logger.info('🎞️ testDeterministicRender(text, timeMs) - Check a frame renders identically twice')
+            logger.info('⏸️ testPausedExport(text, seeds) - Check a paused export frame draws the text')
+            logger.info('🔤 testGraphemes() - Check emoji and combining marks split into whole characters')
+            logger.info('🧩 testConfigSchema(seeds) - Check generated configs validate and broken ones are repaired')
             logger.info('💡 help() - Show this help message')
             logger.info('')
             logger.info('Example usage:')
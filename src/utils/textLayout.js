@@ -0,0 +1,317 @@
+// Text layout engine: line breaking, alignment and per-glyph positions
+
+import { splitGraphemes } from './graphemes.js'
+import { createTextPath } from './textPath.js'
+
+const MARGIN_RATIO = 0.05
+const MAX_FONT_SIZE = 80
+const MIN_FONT_SIZE = 12
+const SHRINK_STEP = 0.9
+
+// layout.spacing is a multiplier: 1 is normal, each +1 adds a quarter em
+const LETTER_SPACING_EM = 0.25
+
+// Layout runs every frame, so the last result is reused while nothing changes
+let cachedLayout = null
+
+// Web fonts swap in after first paint; measurements taken with the fallback
+// font are dropped once they finish loading
+if (typeof document !== 'undefined' && document.fonts?.addEventListener) {
+  document.fonts.addEventListener('loadingdone', () => { cachedLayout = null })
+}
+
+export const getFontString = (fontSize, config) => {
+  return `bold ${fontSize}px ${config?.font?.family || 'Inter'}, sans-serif`
+}
+
+export const getLetterSpacing = (fontSize, spacing = 1) => {
+  return (spacing - 1) * fontSize * LETTER_SPACING_EM
+}
+
+const measureRun = (ctx, items, letterSpacing) => {
+  if (items.length === 0) return 0
+  const text = items.map(item => item.char).join('')
+  return ctx.measureText(text).width + (items.length - 1) * letterSpacing
+}
+
+const trimTrailingSpaces = (items) => {
+  let end = items.length
+  while (end > 0 && items[end - 1].char === ' ') end--
+  return items.slice(0, end)
+}
+
+/**
+ * Greedy word wrap of one paragraph. Words wider than the line are broken
+ * between characters; `state.brokeWord` records that so the caller can try
+ * a smaller font first.
+ */
+const breakParagraph = (ctx, items, maxWidth, letterSpacing, state) => {
+  const lines = []
+  let line = []
+  let word = []
+
+  const fits = (run) => measureRun(ctx, run, letterSpacing) <= maxWidth
+
+  const flushWord = () => {
+    if (word.length === 0) return
+
+    const candidate = [...line, ...word]
+    if (line.length === 0 || fits(trimTrailingSpaces(candidate))) {
+      line = candidate
+    } else {
+      lines.push(trimTrailingSpaces(line))
+      line = word
+    }
+
+    while (line.length > 1 && !fits(line)) {
+      let cut = line.length - 1
+      while (cut > 1 && !fits(line.slice(0, cut))) cut--
+      lines.push(line.slice(0, cut))
+      line = line.slice(cut)
+      state.brokeWord = true
+    }
+
+    word = []
+  }
+
+  items.forEach((item) => {
+    if (item.char === ' ') {
+      flushWord()
+      // Spaces are kept inside a line but never start one
+      if (line.length > 0) line.push(item)
+    } else {
+      word.push(item)
+    }
+  })
+
+  flushWord()
+  lines.push(trimTrailingSpaces(line))
+
+  return lines
+}
+
+/**
+ * Split text into paragraphs of { char, index, wordIndex, paragraphIndex }
+ * items. Each item is one grapheme cluster (an emoji sequence or a letter
+ * with its combining marks); `index` is its position among the clusters and
+ * `wordIndex` counts words across the whole text (used for stagger timing)
+ */
+const toParagraphs = (text) => {
+  const paragraphs = [[]]
+  let wordIndex = -1
+  let inWord = false
+
+  splitGraphemes(text).forEach((char, index) => {
+    if (char === '\n' || char === '\r\n') {
+      paragraphs.push([])
+      inWord = false
+      return
+    }
+
+    const isSpace = char === ' '
+    if (!isSpace && !inWord) wordIndex++
+    inWord = !isSpace
+
+    paragraphs[paragraphs.length - 1].push({
+      char,
+      index,
+      wordIndex: Math.max(0, wordIndex),
+      paragraphIndex: paragraphs.length - 1
+    })
+  })
+  return paragraphs
+}
+
+/**
+ * Number of stagger slots the text has for an animation unit. Lines are
+ * counted as the user typed them, since wrapping depends on the canvas.
+ */
+export const countAnimationUnits = (text, unit = 'char') => {
+  if (!text) return 0
+
+  const paragraphs = toParagraphs(text)
+  const items = paragraphs.flat()
+
+  switch (unit) {
+    case 'word':
+      return items.some(item => item.char !== ' ') ? items[items.length - 1].wordIndex + 1 : 0
+    case 'line':
+      return paragraphs.length
+    case 'whole':
+      return 1
+    default:
+      return splitGraphemes(text).length
+  }
+}
+
+/**
+ * Which animation unit (config.animation.unit) a laid-out glyph belongs to
+ */
+export const getUnitIndex = (glyph, unit) => {
+  switch (unit) {
+    case 'word':
+      return glyph.wordIndex
+    case 'line':
+      return glyph.lineIndex
+    case 'whole':
+      return 0
+    default:
+      return glyph.index
+  }
+}
+
+// Stagger slot of a unit; wrapped lines share the slot of the line the user typed
+export const getUnitOrder = (glyph, unit) => {
+  return unit === 'line' ? glyph.paragraphIndex : getUnitIndex(glyph, unit)
+}
+
+/**
+ * Lay out text as a single run centred along `path` (see textPath.js), with
+ * line breaks read as spaces. Each glyph also gets `angle`, the path's
+ * tangent at its centre, and the font shrinks until the run fits.
+ */
+const layoutOnPath = (ctx, text, config, width, height, path) => {
+  const spacing = config?.layout?.spacing ?? 1
+  const items = toParagraphs(text).flatMap((paragraph, i) => (
+    i > 0 && paragraph.length ? [{ ...paragraph[0], char: ' ', index: -1 }, ...paragraph] : paragraph
+  ))
+
+  let fontSize = Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, height * 0.25))
+  let letterSpacing = 0
+  let runWidth = 0
+
+  for (;;) {
+    ctx.font = getFontString(fontSize, config)
+    letterSpacing = getLetterSpacing(fontSize, spacing)
+    // Glyphs are placed one by one, so the run is measured the same way
+    runWidth = items.reduce((sum, item) => sum + ctx.measureText(item.char).width, 0) +
+      Math.max(0, items.length - 1) * letterSpacing
+
+    // Closed paths keep a gap where the run's ends would meet
+    const available = path.closed ? path.length * 0.95 : path.length
+    if (runWidth <= available || fontSize <= MIN_FONT_SIZE) break
+
+    fontSize = Math.max(MIN_FONT_SIZE, fontSize * SHRINK_STEP)
+  }
+
+  const start = (path.length - runWidth) / 2
+  let offset = 0
+  const glyphs = items.map((item) => {
+    const charWidth = ctx.measureText(item.char).width
+    const { x, y, angle } = path.pointAt(start + offset + charWidth / 2)
+    offset += charWidth + letterSpacing
+
+    return {
+      char: item.char,
+      index: item.index,
+      wordIndex: item.wordIndex,
+      paragraphIndex: item.paragraphIndex,
+      lineIndex: 0,
+      x,
+      y,
+      width: charWidth,
+      angle
+    }
+  })
+
+  return {
+    glyphs,
+    lineCount: 1,
+    fontSize,
+    font: ctx.font,
+    letterSpacing
+  }
+}
+
+/**
+ * Lay out text inside a width x height scene using config.layout
+ * (alignment, spacing, lineHeight). The font size starts at the largest
+ * size that suits the scene and shrinks until the block fits.
+ *
+ * Returns { glyphs, lineCount, fontSize, font, letterSpacing }, where each
+ * glyph is { char, index, wordIndex, paragraphIndex, lineIndex, x, y, width }
+ * with (x, y) the centre of the character for drawing with textAlign
+ * 'center' / textBaseline 'middle'. With config.layout.path set, glyphs
+ * follow the path instead and carry an `angle` to rotate them by.
+ */
+export const layoutText = (ctx, text, config, width, height) => {
+  const layout = config?.layout || {}
+  const alignment = layout.alignment || 'center'
+  const spacing = layout.spacing ?? 1
+  const lineHeight = layout.lineHeight ?? 1.2
+  const family = config?.font?.family
+
+  const cacheKey = JSON.stringify([text, family, alignment, spacing, lineHeight, layout.path, layout.pathData, width, height])
+  if (cachedLayout?.key === cacheKey) {
+    return cachedLayout.result
+  }
+
+  const path = createTextPath(layout.path, width, height, layout.pathData)
+  if (path) {
+    const result = layoutOnPath(ctx, text, config, width, height, path)
+    cachedLayout = { key: cacheKey, result }
+    return result
+  }
+
+  const margin = width * MARGIN_RATIO
+  const maxWidth = width - margin * 2
+  const maxHeight = height - height * MARGIN_RATIO * 2
+  const paragraphs = toParagraphs(text)
+
+  let fontSize = Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, height * 0.25))
+  let lines = []
+  let letterSpacing = 0
+
+  for (;;) {
+    ctx.font = getFontString(fontSize, config)
+    letterSpacing = getLetterSpacing(fontSize, spacing)
+
+    const state = { brokeWord: false }
+    lines = paragraphs.flatMap(items => breakParagraph(ctx, items, maxWidth, letterSpacing, state))
+
+    const blockHeight = lines.length * fontSize * lineHeight
+    if ((blockHeight <= maxHeight && !state.brokeWord) || fontSize <= MIN_FONT_SIZE) break
+
+    fontSize = Math.max(MIN_FONT_SIZE, fontSize * SHRINK_STEP)
+  }
+
+  const lineAdvance = fontSize * lineHeight
+  const blockTop = height / 2 - (lines.length * lineAdvance) / 2
+  const glyphs = []
+
+  lines.forEach((line, lineIndex) => {
+    const lineWidth = measureRun(ctx, line, letterSpacing)
+    const y = blockTop + lineAdvance * (lineIndex + 0.5)
+
+    let startX = (width - lineWidth) / 2
+    if (alignment === 'left') startX = margin
+    if (alignment === 'right') startX = width - margin - lineWidth
+
+    line.forEach((item, i) => {
+      const charWidth = ctx.measureText(item.char).width
+      const prefixWidth = i > 0 ? measureRun(ctx, line.slice(0, i), letterSpacing) + letterSpacing : 0
+
+      glyphs.push({
+        char: item.char,
+        index: item.index,
+        wordIndex: item.wordIndex,
+        paragraphIndex: item.paragraphIndex,
+        lineIndex,
+        x: startX + prefixWidth + charWidth / 2,
+        y,
+        width: charWidth
+      })
+    })
+  })
+
+  const result = {
+    glyphs,
+    lineCount: lines.length,
+    fontSize,
+    font: ctx.font,
+    letterSpacing
+  }
+
+  cachedLayout = { key: cacheKey, result }
+  return result
+}
@@ -0,0 +1,136 @@
+// Text-to-particles morph: the text's pixels become particles that fly in
+// from scattered positions, optionally re-form as a second text during the
+// hold, and scatter again, following the intro / hold / outro cycle.
+
+import { createParticle, drawParticle } from './animations.js'
+import { getTextTiming, getUnitPhase } from './animationTiming.js'
+import { createSeededRandom, hashRandom } from './random.js'
+import { getUnitOrder, layoutText } from './textLayout.js'
+import { sampleTextPoints } from './textSampler.js'
+
+export const DEFAULT_MORPH_SPACING = 5
+
+// Morphing to the target text takes at most this long, mid-hold
+const MORPH_MAX_MS = 1500
+// Share of the morph over which particles set off, left to right
+const MORPH_SWEEP = 0.3
+// How far flights bow sideways, as a share of their length
+const SWIRL = 0.3
+const SHIMMER_PX = 0.6
+
+// Sampling and pairing points is slow, so the last morph is reused
+let cachedMorph = null
+
+const sortPoints = (points) => [...points].sort((a, b) => a.x - b.x || a.y - b.y)
+
+// Point `progress` (0–1) of the way from a to b, bowed sideways by `swirl`
+const fly = (a, b, progress, swirl) => {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const bow = Math.sin(progress * Math.PI) * swirl * SWIRL
+  return {
+    x: a.x + dx * progress - dy * bow,
+    y: a.y + dy * progress + dx * bow
+  }
+}
+
+/**
+ * One entry per particle: where it flies in from, its place in the text,
+ * its place in the target text (if any), where it scatters to, and its
+ * unit's stagger slot. Both texts are sorted left to right before pairing
+ * so the morph flows across the scene instead of criss-crossing it.
+ */
+const getMorphParticles = (ctx, text, config, width, height) => {
+  const spacing = config?.morph?.spacing || DEFAULT_MORPH_SPACING
+  const target = (config?.morph?.target || '').trim()
+  const unit = config?.animation?.unit
+  const key = JSON.stringify([text, target, config?.font, config?.layout, config?.seed, unit, spacing, width, height])
+  if (cachedMorph?.key === key) return cachedMorph.particles
+
+  const points = sortPoints(sampleTextPoints(text, config, width, height, { spacing }))
+  const targetPoints = target ? sortPoints(sampleTextPoints(target, config, width, height, { spacing })) : []
+  const { glyphs } = layoutText(ctx, text, config, width, height)
+  const glyphsByIndex = new Map(glyphs.map(glyph => [glyph.index, glyph]))
+
+  const count = points.length ? Math.max(points.length, targetPoints.length) : 0
+  const particles = Array.from({ length: count }, (_, i) => {
+    const home = points[Math.floor((i * points.length) / count)]
+    const random = createSeededRandom(Math.floor(hashRandom(config?.seed, i, 0, 11) * 0xffffffff))
+    const scatter = createParticle(width, height, random)
+    const exit = createParticle(width, height, random)
+
+    return {
+      start: { x: scatter.x, y: scatter.y },
+      home,
+      morph: targetPoints.length ? targetPoints[Math.floor((i * targetPoints.length) / count)] : null,
+      end: { x: exit.x, y: exit.y },
+      order: getUnitOrder(glyphsByIndex.get(home.glyph) || glyphs[0], unit),
+      swirl: random() * 2 - 1
+    }
+  })
+
+  cachedMorph = { key, particles }
+  return particles
+}
+
+/**
+ * Draw the text as particles at `elapsed` ms into the cycle. Particles of
+ * each unit assemble during its intro and scatter during its outro; with
+ * config.morph.target set, they re-form as that text in the middle of the
+ * hold. `resting` draws the assembled text for the static preview.
+ */
+export const drawMorphText = (ctx, text, config, elapsed, width, height, { resting = false } = {}) => {
+  const particles = getMorphParticles(ctx, text, config, width, height)
+  if (particles.length === 0) return
+
+  const timing = getTextTiming(text, config)
+  const holdStart = timing.outroStart - timing.hold
+  const morphDuration = Math.min(timing.hold / 2, MORPH_MAX_MS)
+  const morphStart = holdStart + (timing.hold - morphDuration) / 2
+
+  const spacing = config?.morph?.spacing || DEFAULT_MORPH_SPACING
+  let color = config?.colors?.primary || '#ffffff'
+  if (config?.effects?.gradient && config?.colors?.primary && config?.colors?.secondary) {
+    color = ctx.createLinearGradient(0, 0, width, height)
+    color.addColorStop(0, config.colors.primary)
+    color.addColorStop(1, config.colors.secondary)
+  }
+
+  particles.forEach((particle, index) => {
+    const { phase, progress } = resting
+      ? { phase: 'hold', progress: 1 }
+      : getUnitPhase(timing, particle.order, elapsed)
+    if (phase === 'before' || phase === 'after') return
+
+    // Place in the text, part-way to the target text once the morph starts
+    let home = particle.home
+    if (particle.morph && !resting) {
+      const delay = (particle.home.x / width) * MORPH_SWEEP * morphDuration
+      const local = (elapsed - morphStart - delay) / (morphDuration * (1 - MORPH_SWEEP))
+      home = fly(particle.home, particle.morph, timing.easing(Math.max(0, Math.min(1, local))), particle.swirl)
+    }
+
+    let position = home
+    let opacity = 1
+    if (phase === 'intro') {
+      position = fly(particle.start, home, progress, particle.swirl)
+      opacity = 0.3 + 0.7 * progress
+    } else if (phase === 'outro') {
+      position = fly(home, particle.end, progress, particle.swirl)
+      opacity = 1 - progress
+    } else if (!resting) {
+      position = {
+        x: home.x + Math.sin(elapsed * 0.003 + index) * SHIMMER_PX,
+        y: home.y + Math.cos(elapsed * 0.0025 + index * 1.3) * SHIMMER_PX
+      }
+    }
+
+    drawParticle(ctx, {
+      x: position.x,
+      y: position.y,
+      size: spacing * 0.45,
+      opacity: Math.max(0, Math.min(1, opacity)),
+      color
+    })
+  })
+}
@@ -0,0 +1,306 @@
+// Paths for text-on-path layout: circle, arc, sine wave or SVG path data,
+// flattened to line segments so glyphs can be placed by distance
+
+const CURVE_SEGMENTS = 16
+const SHAPE_SEGMENTS = 128
+// SVG paths are scaled to fit the scene inside this margin
+const FIT_MARGIN = 0.1
+
+const pointsToSegments = (points) => {
+  const segments = []
+  for (let i = 1; i < points.length; i++) {
+    segments.push({ x1: points[i - 1].x, y1: points[i - 1].y, x2: points[i].x, y2: points[i].y })
+  }
+  return segments
+}
+
+const sample = (count, fn) => Array.from({ length: count + 1 }, (_, i) => fn(i / count))
+
+/**
+ * Each shape builds line segments in scene coordinates for a width x height
+ * scene. Circles start at the bottom and run clockwise, so text centred on
+ * the path sits across the top.
+ */
+export const pathShapes = {
+  none: {
+    name: 'Straight'
+  },
+  circle: {
+    name: 'Circle',
+    closed: true,
+    build: (width, height) => {
+      const radius = Math.min(width, height) * 0.38
+      return pointsToSegments(sample(SHAPE_SEGMENTS, (t) => ({
+        x: width / 2 + Math.cos(Math.PI / 2 + t * Math.PI * 2) * radius,
+        y: height / 2 + Math.sin(Math.PI / 2 + t * Math.PI * 2) * radius
+      })))
+    }
+  },
+  arc: {
+    name: 'Arc',
+    build: (width, height) => {
+      const radius = Math.min(width * 0.42, height * 0.75)
+      const centerY = height / 2 + radius / 2
+      return pointsToSegments(sample(SHAPE_SEGMENTS, (t) => ({
+        x: width / 2 + Math.cos(Math.PI + t * Math.PI) * radius,
+        y: centerY + Math.sin(Math.PI + t * Math.PI) * radius
+      })))
+    }
+  },
+  wave: {
+    name: 'Wave',
+    build: (width, height) => pointsToSegments(sample(SHAPE_SEGMENTS, (t) => ({
+      x: width * (0.05 + t * 0.9),
+      y: height / 2 + Math.sin(t * Math.PI * 3) * height * 0.15
+    })))
+  },
+  svg: {
+    name: 'SVG Path',
+    build: (width, height, pathData) => {
+      const segments = parseSvgPath(pathData)
+      return segments && fitSegments(segments, width, height)
+    }
+  }
+}
+
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g
+const TOKENS = new RegExp(`([MmLlHhVvCcSsQqTtAaZz])|(${NUMBER.source})`, 'g')
+const ARGUMENT_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 }
+
+const cubicAt = (p0, p1, p2, p3, t) => {
+  const u = 1 - t
+  return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3
+}
+
+const quadraticAt = (p0, p1, p2, t) => {
+  const u = 1 - t
+  return u * u * p0 + 2 * u * t * p1 + t * t * p2
+}
+
+const angleBetween = (ux, uy, vx, vy) => {
+  const sign = ux * vy - uy * vx < 0 ? -1 : 1
+  const cos = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy))
+  return sign * Math.acos(Math.max(-1, Math.min(1, cos)))
+}
+
+// Elliptical arc as points, converted from SVG's endpoint form to centre form
+const arcPoints = (x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) => {
+  if (rx === 0 || ry === 0) return [{ x: x2, y: y2 }]
+
+  const phi = (rotation * Math.PI) / 180
+  const cos = Math.cos(phi)
+  const sin = Math.sin(phi)
+  const dx = (x1 - x2) / 2
+  const dy = (y1 - y2) / 2
+  const x1p = cos * dx + sin * dy
+  const y1p = -sin * dx + cos * dy
+
+  let rxa = Math.abs(rx)
+  let rya = Math.abs(ry)
+  const scale = (x1p * x1p) / (rxa * rxa) + (y1p * y1p) / (rya * rya)
+  if (scale > 1) {
+    rxa *= Math.sqrt(scale)
+    rya *= Math.sqrt(scale)
+  }
+
+  const numerator = rxa * rxa * rya * rya - rxa * rxa * y1p * y1p - rya * rya * x1p * x1p
+  const denominator = rxa * rxa * y1p * y1p + rya * rya * x1p * x1p
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator))
+  const cxp = factor * ((rxa * y1p) / rya)
+  const cyp = factor * (-(rya * x1p) / rxa)
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2
+
+  const start = angleBetween(1, 0, (x1p - cxp) / rxa, (y1p - cyp) / rya)
+  let delta = angleBetween((x1p - cxp) / rxa, (y1p - cyp) / rya, (-x1p - cxp) / rxa, (-y1p - cyp) / rya)
+  if (!sweep && delta > 0) delta -= Math.PI * 2
+  if (sweep && delta < 0) delta += Math.PI * 2
+
+  return sample(CURVE_SEGMENTS, (t) => {
+    const angle = start + delta * t
+    const ex = rxa * Math.cos(angle)
+    const ey = rya * Math.sin(angle)
+    return { x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy }
+  }).slice(1)
+}
+
+/**
+ * Flatten SVG path data (M, L, H, V, C, S, Q, T, A, Z, absolute or relative)
+ * into line segments. Returns null when the data can't be parsed or draws
+ * nothing.
+ */
+export const parseSvgPath = (pathData) => {
+  const tokens = [...String(pathData ?? '').matchAll(TOKENS)]
+  if (tokens.length === 0 || !tokens[0][1] || tokens[0][1].toUpperCase() !== 'M') return null
+
+  const segments = []
+  let x = 0
+  let y = 0
+  let startX = 0
+  let startY = 0
+  let control = null
+  let command = null
+  let previous = null
+  let i = 0
+
+  const lineTo = (nx, ny) => {
+    segments.push({ x1: x, y1: y, x2: nx, y2: ny })
+    x = nx
+    y = ny
+  }
+  const curveTo = (points) => points.forEach(point => lineTo(point.x, point.y))
+
+  while (i < tokens.length) {
+    if (tokens[i][1]) {
+      command = tokens[i][1]
+      i++
+    } else if (!command) {
+      return null
+    }
+
+    const type = command.toUpperCase()
+    const relative = command !== type
+    const count = ARGUMENT_COUNTS[type]
+    const args = tokens.slice(i, i + count).map(token => Number(token[2]))
+    if (args.length < count || args.some(Number.isNaN)) return null
+    i += count
+
+    const ox = relative ? x : 0
+    const oy = relative ? y : 0
+
+    switch (type) {
+      case 'M':
+        x = args[0] + ox
+        y = args[1] + oy
+        startX = x
+        startY = y
+        // Further pairs after a move are implicit line-tos
+        command = relative ? 'l' : 'L'
+        break
+      case 'L':
+        lineTo(args[0] + ox, args[1] + oy)
+        break
+      case 'H':
+        lineTo(args[0] + ox, y)
+        break
+      case 'V':
+        lineTo(x, args[0] + oy)
+        break
+      case 'C':
+      case 'S': {
+        const [c1x, c1y] = type === 'C'
+          ? [args[0] + ox, args[1] + oy]
+          : previous === 'C' || previous === 'S' ? [2 * x - control.x, 2 * y - control.y] : [x, y]
+        const rest = type === 'C' ? args.slice(2) : args
+        const c2 = { x: rest[0] + ox, y: rest[1] + oy }
+        const end = { x: rest[2] + ox, y: rest[3] + oy }
+        const from = { x, y }
+        curveTo(sample(CURVE_SEGMENTS, (t) => ({
+          x: cubicAt(from.x, c1x, c2.x, end.x, t),
+          y: cubicAt(from.y, c1y, c2.y, end.y, t)
+        })).slice(1))
+        control = c2
+        break
+      }
+      case 'Q':
+      case 'T': {
+        const c = type === 'Q'
+          ? { x: args[0] + ox, y: args[1] + oy }
+          : previous === 'Q' || previous === 'T' ? { x: 2 * x - control.x, y: 2 * y - control.y } : { x, y }
+        const rest = type === 'Q' ? args.slice(2) : args
+        const end = { x: rest[0] + ox, y: rest[1] + oy }
+        const from = { x, y }
+        curveTo(sample(CURVE_SEGMENTS, (t) => ({
+          x: quadraticAt(from.x, c.x, end.x, t),
+          y: quadraticAt(from.y, c.y, end.y, t)
+        })).slice(1))
+        control = c
+        break
+      }
+      case 'A':
+        curveTo(arcPoints(x, y, args[0], args[1], args[2], args[3] !== 0, args[4] !== 0, args[5] + ox, args[6] + oy))
+        break
+      case 'Z':
+        lineTo(startX, startY)
+        break
+      default:
+        return null
+    }
+    previous = type
+  }
+
+  const drawn = segments.filter(s => s.x1 !== s.x2 || s.y1 !== s.y2)
+  return drawn.length ? drawn : null
+}
+
+// Scale and centre segments to fit the scene, keeping their aspect ratio
+const fitSegments = (segments, width, height) => {
+  const xs = segments.flatMap(s => [s.x1, s.x2])
+  const ys = segments.flatMap(s => [s.y1, s.y2])
+  const left = Math.min(...xs)
+  const top = Math.min(...ys)
+  const pathWidth = Math.max(...xs) - left
+  const pathHeight = Math.max(...ys) - top
+  const scale = Math.min(
+    pathWidth > 0 ? (width * (1 - FIT_MARGIN * 2)) / pathWidth : Infinity,
+    pathHeight > 0 ? (height * (1 - FIT_MARGIN * 2)) / pathHeight : Infinity
+  )
+  const offsetX = (width - pathWidth * scale) / 2 - left * scale
+  const offsetY = (height - pathHeight * scale) / 2 - top * scale
+
+  return segments.map(s => ({
+    x1: s.x1 * scale + offsetX,
+    y1: s.y1 * scale + offsetY,
+    x2: s.x2 * scale + offsetX,
+    y2: s.y2 * scale + offsetY
+  }))
+}
+
+/**
+ * Path for config.layout.path ('circle', 'arc', 'wave' or 'svg' with
+ * config.layout.pathData) in a width x height scene:
+ * { length, closed, pointAt(distance) -> { x, y, angle } }, where `angle` is
+ * the tangent direction in radians. Returns null for straight layout or
+ * unusable path data.
+ */
+export const createTextPath = (type, width, height, pathData) => {
+  const shape = pathShapes[type]
+  if (!shape?.build) return null
+
+  const segments = shape.build(width, height, pathData)
+  if (!segments) return null
+
+  let length = 0
+  const starts = segments.map((segment) => {
+    const start = length
+    segment.length = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1)
+    length += segment.length
+    return start
+  })
+  if (length === 0) return null
+
+  const pointAt = (distance) => {
+    const d = shape.closed
+      ? ((distance % length) + length) % length
+      : Math.max(0, Math.min(length, distance))
+
+    // Binary search for the segment containing d
+    let low = 0
+    let high = segments.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (starts[mid] <= d) low = mid
+      else high = mid - 1
+    }
+
+    const segment = segments[low]
+    const t = segment.length > 0 ? Math.min(1, (d - starts[low]) / segment.length) : 0
+    return {
+      x: segment.x1 + (segment.x2 - segment.x1) * t,
+      y: segment.y1 + (segment.y2 - segment.y1) * t,
+      angle: Math.atan2(segment.y2 - segment.y1, segment.x2 - segment.x1)
+    }
+  }
+
+  return { length, closed: Boolean(shape.closed), pointAt }
+}
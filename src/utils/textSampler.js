@@ -0,0 +1,88 @@
+// Points on the rendered text, for particle emitters and the particle morph
+
+import { layoutText } from './textLayout.js'
+
+const ALPHA_THRESHOLD = 128
+const MAX_CACHED_SAMPLES = 8
+
+// Sampling renders and reads back the whole scene, so results are reused
+const sampleCache = new Map()
+
+const createContext = (width, height) => {
+  const canvas = typeof document !== 'undefined'
+    ? document.createElement('canvas')
+    : new OffscreenCanvas(width, height)
+  canvas.width = width
+  canvas.height = height
+  return canvas.getContext('2d', { willReadFrequently: true })
+}
+
+/**
+ * Points on a grid `spacing` scene pixels apart that fall inside the laid-out
+ * text, or only those on its outline when `edges` is set. Each point is
+ * { x, y, glyph } where `glyph` is the index of the nearest glyph centre.
+ * Returns [] where there is no canvas to render into.
+ */
+export const sampleTextPoints = (text, config, width, height, { spacing = 4, edges = false } = {}) => {
+  if (!text || !text.trim()) return []
+
+  const w = Math.max(1, Math.round(width))
+  const h = Math.max(1, Math.round(height))
+  const key = JSON.stringify([text, config?.font, config?.layout, w, h, spacing, edges])
+  if (sampleCache.has(key)) return sampleCache.get(key)
+
+  let ctx
+  try {
+    ctx = createContext(w, h)
+  } catch (error) {
+    return []
+  }
+  if (!ctx) return []
+
+  const { glyphs, font } = layoutText(ctx, text, config, w, h)
+  ctx.font = font
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillStyle = '#ffffff'
+  glyphs.forEach(({ char, x, y, angle }) => {
+    if (!char.trim()) return
+    ctx.save()
+    ctx.translate(x, y)
+    ctx.rotate(angle || 0)
+    ctx.fillText(char, 0, 0)
+    ctx.restore()
+  })
+
+  const { data } = ctx.getImageData(0, 0, w, h)
+  const isInside = (x, y) => (
+    x >= 0 && y >= 0 && x < w && y < h && data[(y * w + x) * 4 + 3] >= ALPHA_THRESHOLD
+  )
+
+  const visible = glyphs.filter(glyph => glyph.char.trim())
+  const nearestGlyph = (x, y) => {
+    let best = 0
+    let bestDistance = Infinity
+    visible.forEach((glyph, index) => {
+      const distance = (glyph.x - x) ** 2 + (glyph.y - y) ** 2
+      if (distance < bestDistance) {
+        best = index
+        bestDistance = distance
+      }
+    })
+    return visible[best]?.index ?? 0
+  }
+
+  const points = []
+  for (let y = 0; y < h; y += spacing) {
+    for (let x = 0; x < w; x += spacing) {
+      if (!isInside(x, y)) continue
+      if (edges && isInside(x - spacing, y) && isInside(x + spacing, y) &&
+          isInside(x, y - spacing) && isInside(x, y + spacing)) continue
+      points.push({ x, y, glyph: nearestGlyph(x, y) })
+    }
+  }
+
+  if (sampleCache.size >= MAX_CACHED_SAMPLES) sampleCache.clear()
+  sampleCache.set(key, points)
+  return points
+}
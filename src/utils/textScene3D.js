@@ -0,0 +1,225 @@
+// Extruded 3D text rendered with three.js, composited into the 2D frame.
+// Loaded on demand by frameRenderer so three stays out of the main bundle.
+
+import * as THREE from 'three'
+import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js'
+import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js'
+
+const FIELD_OF_VIEW = 30
+const CURVE_SEGMENTS = 6
+
+// Canvas draws `textBaseline: middle` this far above the alphabetic baseline
+const MIDDLE_OFFSET = 0.35
+
+// Gentle sway of the whole block so the extrusion stays visible
+const SWAY_SPEED = 0.0005
+const SWAY_ANGLE = 0.25
+const TILT_ANGLE = -0.12
+
+export const scene3DFonts = {
+  helvetiker: () => import('three/examples/fonts/helvetiker_bold.typeface.json'),
+  optimer: () => import('three/examples/fonts/optimer_bold.typeface.json'),
+  gentilis: () => import('three/examples/fonts/gentilis_bold.typeface.json')
+}
+
+export const scene3DMaterials = {
+  matte: (color) => new THREE.MeshStandardMaterial({ color, roughness: 0.7, metalness: 0 }),
+  glossy: (color) => new THREE.MeshPhysicalMaterial({ color, roughness: 0.25, clearcoat: 1, clearcoatRoughness: 0.1 }),
+  metal: (color) => new THREE.MeshStandardMaterial({ color, roughness: 0.25, metalness: 1 }),
+  toon: (color) => new THREE.MeshToonMaterial({ color })
+}
+
+export const DEFAULT_SCENE_FONT = 'helvetiker'
+export const DEFAULT_SCENE_MATERIAL = 'glossy'
+
+const fonts = new Map()
+// Glyph geometries for the current font, size, depth and bevel only; a change
+// to any of them disposes the lot, so slider drags and resizes don't pile up
+const geometries = new Map()
+let geometryStyle = null
+
+let renderer = null
+let scene = null
+let camera = null
+let textRoot = null
+let meshes = []
+let groups = []
+let materialType = null
+
+/**
+ * Load a typeface font by name; resolves once it can be rendered
+ */
+export const loadSceneFont = async (name = DEFAULT_SCENE_FONT) => {
+  const key = scene3DFonts[name] ? name : DEFAULT_SCENE_FONT
+  if (!fonts.has(key)) {
+    const data = await scene3DFonts[key]()
+    fonts.set(key, new FontLoader().parse(data.default || data))
+  }
+  return fonts.get(key)
+}
+
+const getFont = (name) => fonts.get(scene3DFonts[name] ? name : DEFAULT_SCENE_FONT)
+
+/**
+ * Whether the named font is loaded and has a glyph for every visible character
+ */
+export const canRenderText = (chars, fontName) => {
+  const font = getFont(fontName)
+  if (!font) return false
+  return chars.every(char => !char.trim() || Boolean(font.data.glyphs[char]))
+}
+
+const createRenderer = () => {
+  const canvas = typeof document !== 'undefined'
+    ? document.createElement('canvas')
+    : new OffscreenCanvas(1, 1)
+
+  renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true, preserveDrawingBuffer: true })
+  renderer.setClearColor(0x000000, 0)
+  renderer.outputColorSpace = THREE.SRGBColorSpace
+  renderer.toneMapping = THREE.ACESFilmicToneMapping
+
+  scene = new THREE.Scene()
+  const pmrem = new THREE.PMREMGenerator(renderer)
+  scene.environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture
+  pmrem.dispose()
+
+  scene.add(new THREE.AmbientLight(0xffffff, 0.4))
+  const key = new THREE.DirectionalLight(0xffffff, 1.6)
+  key.position.set(-0.5, 1, 1)
+  scene.add(key)
+  const accent = new THREE.PointLight(0xffffff, 0, 0, 0)
+  accent.name = 'accent'
+  scene.add(accent)
+
+  camera = new THREE.PerspectiveCamera(FIELD_OF_VIEW, 1, 1, 10000)
+  textRoot = new THREE.Group()
+  scene.add(textRoot)
+}
+
+/**
+ * Glyph geometry centred on its advance box, with the extrusion centred on z
+ */
+const getGlyphGeometry = (font, fontName, char, size, depth, bevel) => {
+  const style = `${fontName}|${size}|${depth}|${bevel}`
+  if (style !== geometryStyle) {
+    geometries.forEach(geometry => geometry.dispose())
+    geometries.clear()
+    geometryStyle = style
+  }
+
+  if (!geometries.has(char)) {
+    const bevelSize = bevel ? size * 0.03 : 0
+    const geometry = new TextGeometry(char, {
+      font,
+      size,
+      height: depth,
+      curveSegments: CURVE_SEGMENTS,
+      bevelEnabled: bevel,
+      bevelThickness: bevelSize,
+      bevelSize,
+      bevelSegments: 3
+    })
+    const advance = (font.data.glyphs[char]?.ha || 0) * size / font.data.resolution
+    geometry.translate(-advance / 2, -size * MIDDLE_OFFSET, -depth / 2)
+    geometries.set(char, geometry)
+  }
+  return geometries.get(char)
+}
+
+const getMesh = (index, color) => {
+  if (!meshes[index]) {
+    const material = (scene3DMaterials[materialType] || scene3DMaterials[DEFAULT_SCENE_MATERIAL])(color)
+    meshes[index] = new THREE.Mesh(undefined, material)
+  }
+  return meshes[index]
+}
+
+const getGroup = (index) => {
+  if (!groups[index]) groups[index] = new THREE.Group()
+  return groups[index]
+}
+
+const setMaterialType = (type) => {
+  if (type === materialType) return
+  meshes.forEach(mesh => mesh.material.dispose())
+  meshes = []
+  materialType = type
+}
+
+/**
+ * Render unit states (see frameRenderer's getUnitStates) as extruded text and
+ * return the WebGL canvas, sized `pixelWidth` x `pixelHeight`, with a
+ * transparent background. Scene coordinates match the 2D canvas: one world
+ * unit is one scene pixel, with the origin at the top-left.
+ */
+export const renderTextScene = (states, config, { elapsed = 0, width, height, pixelWidth, pixelHeight, fontSize }) => {
+  if (!renderer) createRenderer()
+
+  const options = config?.scene3d || {}
+  const fontName = options.font || DEFAULT_SCENE_FONT
+  const font = getFont(fontName)
+  const depth = fontSize * (options.depth ?? 0.3)
+  const bevel = options.bevel !== false
+  setMaterialType(options.material || DEFAULT_SCENE_MATERIAL)
+
+  const maxSize = renderer.capabilities.maxTextureSize
+  renderer.setPixelRatio(1)
+  renderer.setSize(Math.min(maxSize, Math.round(pixelWidth)), Math.min(maxSize, Math.round(pixelHeight)), false)
+
+  camera.aspect = width / height
+  camera.position.set(0, 0, (height / 2) / Math.tan(THREE.MathUtils.degToRad(FIELD_OF_VIEW / 2)))
+  camera.far = camera.position.z * 4
+  camera.updateProjectionMatrix()
+
+  const primary = new THREE.Color(config?.colors?.primary || '#ffffff')
+  const secondary = new THREE.Color(config?.colors?.secondary || config?.colors?.primary || '#ffffff')
+  const useGradient = Boolean(config?.effects?.gradient && config?.colors?.secondary)
+  const glow = Boolean(config?.effects?.glow)
+
+  const accent = scene.getObjectByName('accent')
+  accent.color.set(config?.colors?.accent || '#8b5cf6')
+  accent.intensity = glow ? 2 : 0
+  accent.position.set(width * 0.3, height * 0.3, camera.position.z * 0.5)
+
+  const allGlyphs = states.flatMap(state => state.glyphs)
+  const left = Math.min(...allGlyphs.map(g => g.x - g.width / 2))
+  const right = Math.max(...allGlyphs.map(g => g.x + g.width / 2))
+  const span = right - left || 1
+
+  textRoot.clear()
+  textRoot.rotation.set(TILT_ANGLE, Math.sin(elapsed * SWAY_SPEED) * SWAY_ANGLE, 0)
+
+  let meshIndex = 0
+  states.forEach((state, stateIndex) => {
+    const group = getGroup(stateIndex)
+    group.clear()
+    // Canvas y runs down and rotates clockwise; three's y runs up
+    group.position.set(state.x - width / 2, height / 2 - state.y, 0)
+    group.rotation.set(0, 0, -state.rotation)
+    group.scale.setScalar(state.scale || 0.0001)
+
+    state.glyphs.forEach((glyph, position) => {
+      const char = state.chars[position]
+      const color = useGradient ? primary.clone().lerp(secondary, (glyph.x - left) / span) : primary
+      const mesh = getMesh(meshIndex++, color)
+      mesh.geometry = getGlyphGeometry(font, fontName, char, fontSize, depth, bevel)
+      mesh.position.set(glyph.x - state.unit.x, -(glyph.y - state.unit.y), 0)
+      mesh.rotation.set(0, 0, -(glyph.angle || 0))
+      mesh.material.color.copy(color)
+      mesh.material.opacity = state.opacity
+      mesh.material.transparent = state.opacity < 1
+      if (mesh.material.emissive) {
+        mesh.material.emissive.copy(glow ? color : new THREE.Color(0x000000))
+        mesh.material.emissiveIntensity = glow ? 0.35 : 0
+      }
+      group.add(mesh)
+    })
+
+    textRoot.add(group)
+  })
+
+  renderer.render(scene, camera)
+  return renderer.domElement
+}
@@ -0,0 +1,138 @@
+// Entrance and exit transitions layered on top of the looping animation
+
+import { hashRandom } from './random.js'
+
+// Scrambled characters change every few frames rather than every frame
+const SCRAMBLE_STEP_MS = 60
+const SCRAMBLE_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789#%&*+=?@$'
+
+// The most blur a blur-in starts from, as a share of the font size
+const MAX_BLUR_RATIO = 0.4
+
+/**
+ * Each transition maps `progress` (0 at the start of the phase, 1 at its
+ * end, already eased) to a partial transform for one unit:
+ * { x, y, scale, rotation, opacity, blur, scramble }. `blur` is in pixels;
+ * `scramble` is the share of the unit's glyphs still showing noise.
+ * `context` has the unit's centre and size, the scene size and font size.
+ */
+export const entranceRegistry = {
+  rise: {
+    name: 'Fade Up',
+    enter: (progress, { fontSize }) => ({
+      opacity: progress,
+      y: (1 - progress) * fontSize * 0.5
+    })
+  },
+  typewriter: {
+    name: 'Typewriter',
+    // Units pop in one after another at the stagger interval
+    enter: () => ({ opacity: 1 })
+  },
+  drop: {
+    name: 'Drop In',
+    enter: (progress, { y, height, fontSize }) => ({
+      y: -(1 - progress) * (y + height / 2 + fontSize)
+    })
+  },
+  fly: {
+    name: 'Fly In',
+    enter: (progress, { x, width }) => ({
+      x: -(1 - progress) * (x + width)
+    })
+  },
+  scramble: {
+    name: 'Decode',
+    enter: (progress) => ({ scramble: 1 - progress })
+  },
+  blur: {
+    name: 'Blur In',
+    enter: (progress, { fontSize }) => ({
+      opacity: progress,
+      blur: (1 - progress) * fontSize * MAX_BLUR_RATIO
+    })
+  },
+  none: {
+    name: 'None',
+    enter: () => ({})
+  }
+}
+
+export const exitRegistry = {
+  rise: {
+    name: 'Fade Up',
+    exit: (progress, { fontSize }) => ({
+      opacity: 1 - progress,
+      y: -progress * fontSize * 0.5
+    })
+  },
+  typewriter: {
+    name: 'Backspace',
+    exit: () => ({ opacity: 0 })
+  },
+  drop: {
+    name: 'Drop Out',
+    exit: (progress, { y, height, sceneHeight, fontSize }) => ({
+      y: progress * (sceneHeight - y + height / 2 + fontSize)
+    })
+  },
+  fly: {
+    name: 'Fly Out',
+    exit: (progress, { x, width, sceneWidth }) => ({
+      x: progress * (sceneWidth - x + width)
+    })
+  },
+  scramble: {
+    name: 'Encode',
+    exit: (progress) => ({
+      scramble: progress,
+      opacity: progress < 1 ? 1 : 0
+    })
+  },
+  blur: {
+    name: 'Blur Out',
+    exit: (progress, { fontSize }) => ({
+      opacity: 1 - progress,
+      blur: progress * fontSize * MAX_BLUR_RATIO
+    })
+  },
+  none: {
+    name: 'None',
+    exit: () => ({ opacity: 0 })
+  }
+}
+
+export const DEFAULT_TRANSITION = 'rise'
+
+/**
+ * Partial transform for a unit in its 'intro' or 'outro' phase, using
+ * config.animation.entrance / exit. Other phases need no transition.
+ */
+export const getTransition = (phase, config, progress, context) => {
+  if (phase === 'intro') {
+    const entry = entranceRegistry[config?.animation?.entrance] || entranceRegistry[DEFAULT_TRANSITION]
+    return entry.enter(progress, context)
+  }
+  if (phase === 'outro') {
+    const entry = exitRegistry[config?.animation?.exit] || exitRegistry[DEFAULT_TRANSITION]
+    return entry.exit(progress, context)
+  }
+  return {}
+}
+
+/**
+ * Whether glyph `position` of a unit with `count` glyphs still shows noise.
+ * Glyphs resolve left to right as the scramble share shrinks.
+ */
+export const isScrambled = (scramble, position, count) => {
+  return scramble > 0 && (position + 1) / count > 1 - scramble
+}
+
+/**
+ * Noise character for a glyph, stable for a seed, glyph and moment in time
+ */
+export const getScrambleCharacter = (seed, glyphIndex, time) => {
+  const step = Math.floor(time / SCRAMBLE_STEP_MS)
+  const pick = Math.floor(hashRandom(seed, glyphIndex, step, 7) * SCRAMBLE_CHARACTERS.length)
+  return SCRAMBLE_CHARACTERS[pick]
+}